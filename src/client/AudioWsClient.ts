@@ -0,0 +1,720 @@
+import { EventEmitter } from "eventemitter3";
+import Websocket from "isomorphic-ws";
+import { Codec } from "./codecs";
+import { RequestData, buildEndpoint } from "./endpoint";
+import { BlandError, CONNECT_TIMEOUT_REASON, HEARTBEAT_TIMEOUT_REASON, asBlandError, closeError } from "./errors";
+import { ConnectionEvents, EmitterOf } from "./events";
+import { OutboundBufferOptions, OutboundQueue } from "./OutboundQueue";
+import { Framing } from "./packetizer";
+import {
+    AgentStateMessage,
+    CallEndedMessage,
+    CallMetadataMessage,
+    ClientMessage,
+    CloseCodes,
+    ControlMessage,
+    ControlType,
+    ServerErrorMessage,
+    ServerMessage,
+    encodeClientMessage,
+    parseServerMessage
+} from "./protocol";
+import { ConnectionStats } from "./stats";
+
+export interface ReconnectOptions {
+    // Set to false to end the call on the first socket drop.
+    enabled?: boolean;
+    // Consecutive attempts before giving up; reset after every successful resume.
+    maxRetries?: number;
+    initialDelay?: number;
+    maxDelay?: number;
+    multiplier?: number;
+    // Fraction (0..1) of each delay that is randomized.
+    jitter?: number;
+};
+
+export interface HeartbeatOptions {
+    enabled?: boolean;
+    // Time between pings while the connection is healthy.
+    interval?: number;
+    // Time between pings once a pong has been late.
+    fastInterval?: number;
+    // How long a pong may take before the connection counts as degraded.
+    pongTimeout?: number;
+    // How long a degraded connection gets to answer before it is dropped and reconnected.
+    deadline?: number;
+};
+
+export interface AudioWsConfig {
+    callId: string;
+    enableUpdate?: boolean;
+    customEndpoint?: string;
+    agentId?: string | null;
+    sessionToken?: string | null;
+    // Called before every connect and reconnect; takes precedence over sessionToken.
+    getSessionToken?: () => Promise<string> | string;
+    // Fresh tokens to try after the server rejects one.
+    maxAuthRetries?: number;
+    requestData?: RequestData;
+    // In order of preference; each one the server rejects falls through to the next.
+    codecs?: Codec[];
+    sampleRate?: number;
+    framing?: Framing;
+    frameDuration?: number;
+    reconnect?: ReconnectOptions;
+    heartbeat?: HeartbeatOptions;
+    // How long the server gets to confirm each socket, in ms; 0 waits forever.
+    connectTimeout?: number;
+    outboundBuffer?: OutboundBufferOptions;
+};
+
+const defaultHeartbeatOptions: Required<HeartbeatOptions> = {
+    enabled: true,
+    interval: 5000,
+    fastInterval: 1000,
+    pongTimeout: 2000,
+    deadline: 3000
+};
+
+const defaultReconnectOptions: Required<ReconnectOptions> = {
+    enabled: true,
+    maxRetries: 5,
+    initialDelay: 500,
+    maxDelay: 10000,
+    multiplier: 2,
+    jitter: 0.5
+};
+
+const defaultConnectTimeout = 10000;
+
+// How long the server gets to answer a text, dtmf or context message, in ms.
+const controlAckTimeout = 10000;
+
+interface PendingControl {
+    id: string;
+    type: ControlType;
+    timer: ReturnType<typeof setTimeout>;
+};
+
+// 1000 is a deliberate hangup and 4000-4999 are application errors
+// (bad token, unknown call); neither can be fixed by trying again.
+function isFinalCloseCode(code: number): boolean {
+    return code === CloseCodes.Normal || (code >= 4000 && code <= 4999);
+};
+
+export class AudioWsClient extends EventEmitter {
+    private ws: Websocket;
+    private config: AudioWsConfig;
+    private reconnectOptions: Required<ReconnectOptions>;
+    private heartbeatOptions: Required<HeartbeatOptions>;
+    private pingTimeout: ReturnType<typeof setTimeout> | null = null;
+    private pingInterval: ReturnType<typeof setInterval> | null = null;
+    private pingIntervalTime: number = 5000;
+    private isDegraded: boolean = false;
+    // When each unanswered ping was sent; pongs come back in order.
+    private pingSentAt: number[] = [];
+    private rtt: number | null = null;
+    private bytesSent: number = 0;
+    private bytesReceived: number = 0;
+    private framesSent: number = 0;
+    private framesReceived: number = 0;
+    private reconnectAttempts: number = 0;
+    private reconnects: number = 0;
+    private controlId: number = 0;
+    private pendingControls: PendingControl[] = [];
+    private audioIndex: number = 0;
+
+    // Whether the server has confirmed the call, on this socket or any before it.
+    private hasConnected: boolean = false;
+    private isConfirmed: boolean = false;
+    private closedByClient: boolean = false;
+    private isClosed: boolean = false;
+    private authAttempt: number = 0;
+    private reconnectAttempt: number = 0;
+    private reconnectTimer: ReturnType<typeof setTimeout> | null = null;
+    private connectTimer: ReturnType<typeof setTimeout> | null = null;
+    private pendingAudio: OutboundQueue;
+    private pendingMessages: string[] = [];
+    private hasOverflowed: boolean = false;
+    private endReason: string | null = null;
+    private serverCallId: string | null = null;
+    private codecs: Codec[];
+    private codecIndex: number = 0;
+    public isReconnecting: boolean = false;
+
+    constructor(audioWsConfig: AudioWsConfig) {
+        super();
+        this.config = audioWsConfig;
+        this.reconnectOptions = { ...defaultReconnectOptions, ...audioWsConfig.reconnect };
+        this.heartbeatOptions = { ...defaultHeartbeatOptions, ...audioWsConfig.heartbeat };
+        this.pendingAudio = new OutboundQueue(audioWsConfig.outboundBuffer);
+        this.codecs = audioWsConfig.codecs && audioWsConfig.codecs.length > 0 ? audioWsConfig.codecs : ["pcm16"];
+        this.connect();
+    };
+
+    private async connect(): Promise<void> {
+        let sessionToken = this.config.sessionToken;
+        if (this.config.getSessionToken) {
+            try {
+                sessionToken = await this.config.getSessionToken();
+            } catch (error) {
+                if (this.closedByClient) return;
+                const reason = "Could not refresh session token";
+                const authError = new BlandError("AUTH_FAILED", reason, { cause: error, closeCode: CloseCodes.AuthFailed, closeReason: reason });
+                this.emit("authError", { code: CloseCodes.AuthFailed, reason, error: authError });
+                this.end(CloseCodes.AuthFailed, reason, authError);
+                return;
+            };
+            // close() was called while the token was being fetched.
+            if (this.closedByClient) return;
+        };
+
+        let ws: Websocket;
+        try {
+            ws = new Websocket(buildEndpoint(this.config.customEndpoint, {
+                agentId: this.config.agentId,
+                sessionToken,
+                callId: this.serverCallId || this.config.callId,
+                // Ask the server to reattach us to the call that is already running.
+                resume: this.hasConnected,
+                codec: this.codec,
+                sampleRate: this.config.sampleRate,
+                framing: this.config.framing,
+                frameDuration: this.config.frameDuration,
+                requestData: this.config.requestData
+            }));
+        } catch (error) {
+            // e.g. a SecurityError for ws: from an https page. On the first
+            // connect this runs inside the constructor, before anyone listens.
+            const failure = asBlandError(error, "CONNECTION_FAILED", "Could not open the connection");
+            setTimeout(() => {
+                if (!this.isClosed && !this.closedByClient) this.end(1006, "", failure);
+            }, 0);
+            return;
+        };
+        this.ws = ws;
+        this.isConfirmed = false;
+        this.ws.binaryType = "arraybuffer";
+        this.startConnectTimer();
+
+        // The server accepts every socket and only then closes the ones it
+        // rejects (see CloseCodes), so an open socket proves nothing yet.
+        // The ping gets it to answer one way or the other.
+        this.ws.onopen = () => {
+            this.startHeartbeat();
+            this.ws.send("ping");
+            this.pingSentAt.push(Date.now());
+        };
+
+        this.ws.onmessage = (event: any) => {
+            if (!this.isConfirmed) this.confirm();
+            if (typeof event.data === "string" && event.data === "pong") {
+                const sentAt = this.pingSentAt.shift();
+                if (sentAt !== undefined) this.rtt = Date.now() - sentAt;
+                this.resetPingTimeout();
+            } else if (event.data instanceof ArrayBuffer) {
+                const audioData = new Uint8Array(event.data);
+                this.bytesReceived += audioData.length;
+                this.framesReceived++;
+                this.emit("audio", audioData);
+            } else if (typeof (event.data) === "string") {
+                if (event.data === "clear") {
+                    this.emit("clear");
+                } else {
+                    const message = parseServerMessage(event.data);
+                    if (message) this.handleMessage(message);
+                };
+            };
+        };
+
+        this.ws.onclose = (event: any) => {
+            this.handleClose(event.code, event.reason);
+        };
+
+        this.ws.onerror = (event: any) => {
+            this.emit("error", new BlandError("CONNECTION_FAILED", "WebSocket error", { cause: event }));
+        };
+    };
+
+    // The first frame the server sends on a socket means it took the call:
+    // only now does the call count as started or resumed, and does audio
+    // captured meanwhile go out.
+    private confirm(): void {
+        this.clearConnectTimer();
+        const resumed = this.hasConnected;
+        this.isConfirmed = true;
+        this.hasConnected = true;
+        this.authAttempt = 0;
+
+        if (resumed) {
+            const attempt = this.reconnectAttempt;
+            this.isReconnecting = false;
+            this.reconnectAttempt = 0;
+            this.reconnects++;
+            this.flushPendingAudio();
+            this.emit("reconnect", attempt);
+        } else {
+            this.flushPendingAudio();
+            this.emit("open");
+        };
+    };
+
+    private handleMessage(message: ServerMessage): void {
+        switch (message.type) {
+            case "mark":
+                this.emit("mark", message);
+                break;
+            case "transcript":
+                this.emit("transcript", message);
+                break;
+            case "agent_state":
+                this.emit("agentState", message);
+                break;
+            case "call_metadata":
+                this.serverCallId = message.call_id;
+                this.emit("callMetadata", message);
+                break;
+            case "error":
+                // A rejected control message is reported against it instead.
+                if (message.id !== undefined && !message.fatal && this.settleControl(message.id, message)) break;
+                this.emit("serverError", message);
+                break;
+            case "ack":
+                this.settleControl(message.id, null);
+                break;
+            case "call_ended":
+                // The close frame that follows often carries no reason of its own.
+                this.endReason = message.reason;
+                this.emit("callEnded", message);
+                break;
+        };
+    };
+
+    private handleClose(code: number, reason: string): void {
+        this.detach();
+        this.clearConnectTimer();
+        this.isConfirmed = false;
+        this.stopHeartbeat();
+        this.emit("disconnect", code, reason);
+
+        if (code === CloseCodes.AuthFailed && !this.closedByClient) {
+            if (this.canRefreshToken()) {
+                this.authAttempt++;
+                // Mid-call this resumes like any other drop, just without waiting.
+                if (this.hasConnected) {
+                    this.scheduleReconnect(0);
+                } else {
+                    this.connect();
+                };
+                return;
+            };
+            this.emit("authError", { code, reason, error: closeError(code, reason) });
+        };
+
+        if (code === CloseCodes.UnsupportedCodec && !this.closedByClient && !this.hasConnected &&
+            this.codecIndex < this.codecs.length - 1) {
+            // The call has not started, so this is a fresh connect rather than
+            // a resume. Whatever was captured so far is in a format the server
+            // cannot read.
+            this.codecIndex++;
+            this.pendingAudio.clear();
+            this.emit("codecChange", this.codec);
+            this.connect();
+            return;
+        };
+
+        if (this.shouldReconnect(code)) {
+            this.scheduleReconnect();
+            return;
+        };
+
+        this.end(code, reason);
+    };
+
+    // The close event carries why the call ended, derived from the close
+    // code unless error says otherwise; null when close() ended it.
+    private end(code: number, reason: string, error?: BlandError): void {
+        if (this.isReconnecting) {
+            this.isReconnecting = false;
+            if (!this.closedByClient) {
+                this.emit("reconnectFailed", code, reason);
+            };
+        };
+        this.pendingAudio.clear();
+        this.pendingMessages = [];
+        this.clearPendingControls();
+        this.isClosed = true;
+        reason = reason || this.endReason || "";
+        this.emit("close", code, reason, this.closedByClient ? null : error || closeError(code, reason));
+    };
+
+    private canRefreshToken(): boolean {
+        const maxAuthRetries = this.config.maxAuthRetries === undefined ? 2 : this.config.maxAuthRetries;
+        return !!this.config.getSessionToken && this.authAttempt < maxAuthRetries;
+    };
+
+    private detach(): void {
+        this.ws.onopen = null;
+        this.ws.onmessage = null;
+        this.ws.onclose = null;
+        this.ws.onerror = null;
+    };
+
+    private shouldReconnect(code: number): boolean {
+        return (
+            !this.closedByClient &&
+            this.endReason === null &&
+            this.hasConnected &&
+            this.reconnectOptions.enabled &&
+            !isFinalCloseCode(code) &&
+            this.reconnectAttempt < this.reconnectOptions.maxRetries
+        );
+    };
+
+    // A socket that never opens, or that the server never answers, is
+    // closed like a dropped one: a resume tries again, a first connect fails.
+    private startConnectTimer(): void {
+        const timeout = this.config.connectTimeout === undefined ? defaultConnectTimeout : this.config.connectTimeout;
+        if (timeout <= 0) return;
+
+        this.connectTimer = setTimeout(() => {
+            this.connectTimer = null;
+            this.detach();
+            this.ws.close();
+            this.handleClose(1006, CONNECT_TIMEOUT_REASON);
+        }, timeout);
+    };
+
+    private clearConnectTimer(): void {
+        if (this.connectTimer != null) {
+            clearTimeout(this.connectTimer);
+            this.connectTimer = null;
+        };
+    };
+
+    private scheduleReconnect(delay?: number): void {
+        if (delay === undefined) {
+            const { initialDelay, maxDelay, multiplier, jitter } = this.reconnectOptions;
+            const baseDelay = Math.min(maxDelay, initialDelay * Math.pow(multiplier, this.reconnectAttempt));
+            const spread = baseDelay * jitter;
+            delay = Math.round(baseDelay - spread + Math.random() * spread * 2);
+        };
+
+        this.isReconnecting = true;
+        this.reconnectAttempt++;
+        this.reconnectAttempts++;
+        this.emit("reconnecting", this.reconnectAttempt, delay);
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect();
+        }, delay);
+    };
+
+    private flushPendingAudio(): void {
+        const messages = this.pendingMessages;
+        this.pendingMessages = [];
+        messages.forEach((message) => this.ws.send(message));
+
+        this.hasOverflowed = false;
+        this.pendingAudio.flush((audio) => this.sendAudio(audio));
+    };
+
+    private sendAudio(audio: Uint8Array): void {
+        this.ws.send(audio);
+        this.bytesSent += audio.length;
+        this.framesSent++;
+    };
+
+    get codec(): Codec {
+        return this.codecs[this.codecIndex];
+    };
+
+    get droppedFrames(): number {
+        return this.pendingAudio.droppedFrames;
+    };
+
+    getStats(): ConnectionStats {
+        return {
+            rtt: this.rtt,
+            bytesSent: this.bytesSent,
+            bytesReceived: this.bytesReceived,
+            framesSent: this.framesSent,
+            framesReceived: this.framesReceived,
+            droppedFrames: this.pendingAudio.droppedFrames,
+            reconnectAttempts: this.reconnectAttempts,
+            reconnects: this.reconnects
+        };
+    };
+
+    private startHeartbeat(): void {
+        this.stopHeartbeat();
+        if (!this.heartbeatOptions.enabled) return;
+
+        this.pingIntervalTime = this.heartbeatOptions.interval;
+        this.pingInterval = setInterval(() => this.sendPing(), this.pingIntervalTime);
+    };
+
+    private stopHeartbeat(): void {
+        if (this.pingInterval != null) {
+            clearInterval(this.pingInterval);
+            this.pingInterval = null;
+        };
+        if (this.pingTimeout != null) {
+            clearTimeout(this.pingTimeout);
+            this.pingTimeout = null;
+        };
+        this.pingSentAt = [];
+        this.isDegraded = false;
+    };
+
+    private sendPing(): void {
+        if (this.ws.readyState !== 1) return;
+        this.ws.send("ping");
+        this.pingSentAt.push(Date.now());
+
+        // Only the oldest unanswered ping sets the deadline.
+        if (this.pingTimeout == null) {
+            this.pingTimeout = setTimeout(() => this.onPongLate(), this.heartbeatOptions.pongTimeout);
+        };
+    };
+
+    private onPongLate(): void {
+        this.adjustPingFrequency(this.heartbeatOptions.fastInterval);
+        this.isDegraded = true;
+        this.emit("connectionDegraded");
+
+        this.pingTimeout = setTimeout(() => {
+            this.pingTimeout = null;
+            // The socket may never report the drop itself, so close it and
+            // go through the same path a real close would.
+            this.detach();
+            this.ws.close();
+            this.handleClose(1006, HEARTBEAT_TIMEOUT_REASON);
+        }, this.heartbeatOptions.deadline);
+    };
+
+    resetPingTimeout() {
+        if (this.pingTimeout != null) {
+            clearTimeout(this.pingTimeout);
+            this.pingTimeout = null;
+        }
+        if (this.isDegraded) {
+            this.isDegraded = false;
+            this.adjustPingFrequency(this.heartbeatOptions.interval);
+            this.emit("connectionRestored");
+        }
+    };
+
+    adjustPingFrequency(newInterval: number) {
+        if (this.pingIntervalTime !== newInterval) {
+            if (this.pingInterval != null) {
+                clearInterval(this.pingInterval);
+            }
+            this.pingIntervalTime = newInterval;
+            this.pingInterval = setInterval(() => this.sendPing(), this.pingIntervalTime);
+        }
+    };
+
+    send(audio: Uint8Array) {
+        if (this.ws && this.ws.readyState === 1 && this.isConfirmed) {
+            this.sendAudio(audio);
+        } else if (!this.isClosed && !this.closedByClient) {
+            // Keep what the user says before the server confirms the call, or
+            // while it is being resumed, so it reaches the agent instead of being lost.
+            if (!this.pendingAudio.push(audio) && !this.hasOverflowed) {
+                this.hasOverflowed = true;
+                this.emit("bufferOverflow", this.pendingAudio.droppedFrames);
+            };
+        };
+    };
+
+    // Control messages are few and small, so unlike audio they are never dropped
+    // while the socket is down.
+    sendMessage(message: ClientMessage) {
+        const data = encodeClientMessage(message);
+        if (this.ws && this.ws.readyState === 1 && this.isConfirmed) {
+            this.ws.send(data);
+        } else if (!this.isClosed && !this.closedByClient) {
+            this.pendingMessages.push(data);
+        };
+    };
+
+    // Each returns the message id that its controlAck or controlError carries.
+    sendText(text: string): string {
+        if (typeof text !== "string" || text.trim() === "") {
+            throw new BlandError("INVALID_CONFIG", "Invalid text: expected a non-empty string");
+        };
+        return this.sendControl({ type: "text", id: this.nextControlId(), text });
+    };
+
+    sendDtmf(digits: string): string {
+        if (typeof digits !== "string" || !/^[0-9*#A-D]+$/i.test(digits)) {
+            throw new BlandError("INVALID_CONFIG", `Invalid DTMF digits "${digits}": expected 0-9, *, # or A-D`);
+        };
+        return this.sendControl({ type: "dtmf", id: this.nextControlId(), digits: digits.toUpperCase() });
+    };
+
+    updateContext(context: { [key: string]: unknown }): string {
+        if (context === null || typeof context !== "object" || Array.isArray(context)) {
+            throw new BlandError("INVALID_CONFIG", "Invalid context: expected a plain object");
+        };
+        try {
+            JSON.stringify(context);
+        } catch (error) {
+            throw new BlandError("INVALID_CONFIG", `Invalid context: ${(error as Error).message}`, { cause: error });
+        };
+        return this.sendControl({ type: "context", id: this.nextControlId(), context });
+    };
+
+    private nextControlId(): string {
+        this.controlId++;
+        return String(this.controlId);
+    };
+
+    // Queued like any other control message while the socket is down; the
+    // ack deadline runs from here, so a long outage times it out.
+    private sendControl(message: ControlMessage): string {
+        if (this.isClosed || this.closedByClient) throw new BlandError("INVALID_STATE", "The call has ended");
+        const timer = setTimeout(() => {
+            this.settleControl(message.id, new BlandError("CONTROL_TIMEOUT", `The server did not acknowledge ${message.type} message ${message.id}`));
+        }, controlAckTimeout);
+        this.pendingControls.push({ id: message.id, type: message.type, timer });
+        this.sendMessage(message);
+        return message.id;
+    };
+
+    // Reports the answer to a pending control message; false if none has that id.
+    private settleControl(id: string, failure: ServerErrorMessage | BlandError | null): boolean {
+        let index = -1;
+        for (let i = 0; i < this.pendingControls.length; i++) {
+            if (this.pendingControls[i].id === id) {
+                index = i;
+                break;
+            };
+        };
+        if (index === -1) return false;
+
+        const control = this.pendingControls.splice(index, 1)[0];
+        clearTimeout(control.timer);
+        if (failure === null) {
+            this.emit("controlAck", id, control.type);
+        } else if (failure instanceof BlandError) {
+            this.emit("controlError", id, control.type, failure);
+        } else {
+            this.emit("controlError", id, control.type, new BlandError("CONTROL_REJECTED", `${failure.message} (${failure.code})`, { cause: failure }));
+        };
+        return true;
+    };
+
+    // The end of the call is reported on its own; nothing is left to answer these.
+    private clearPendingControls(): void {
+        this.pendingControls.forEach((control) => clearTimeout(control.timer));
+        this.pendingControls = [];
+    };
+
+    close() {
+        this.closedByClient = true;
+        this.pendingAudio.clear();
+        this.pendingMessages = [];
+        this.clearPendingControls();
+        this.stopHeartbeat();
+        this.clearConnectTimer();
+
+        if (this.reconnectTimer != null) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        };
+
+        if (!this.ws || this.ws.onclose === null) {
+            // Between attempts, or while a token is being fetched, there is no
+            // live socket to fire onclose for us.
+            if (!this.isClosed) this.end(CloseCodes.Normal, "");
+            return;
+        };
+
+        this.ws.close();
+    };
+};
+
+// Resolves on the first open; rejects if the client closes for good first.
+export function waitForOpen(client: AudioWsClient): Promise<void> {
+    return new Promise((resolve, reject) => {
+        const onOpen = () => {
+            client.off("close", onClose);
+            resolve();
+        };
+        const onClose = (code: number, reason: string, error: BlandError | null) => {
+            client.off("open", onOpen);
+            reject(error || new BlandError("CALL_STOPPED", "Conversation stopped before it connected"));
+        };
+        client.once("open", onOpen);
+        client.once("close", onClose);
+    });
+};
+
+// Re-emits the connection and server events every call client exposes
+// unchanged, with positional arguments folded into a single payload.
+export function forwardConnectionEvents(source: AudioWsClient, target: EmitterOf<ConnectionEvents>): void {
+    source.on("disconnect", (code: number, reason: string) => {
+        target.emit("disconnect", { code, reason });
+    });
+
+    source.on("authError", (error: { code: number, reason: string, error: BlandError }) => {
+        target.emit("authError", error);
+    });
+
+    source.on("bufferOverflow", (droppedFrames: number) => {
+        target.emit("bufferOverflow", { droppedFrames });
+    });
+
+    source.on("connectionDegraded", () => {
+        target.emit("connectionDegraded");
+    });
+
+    source.on("connectionRestored", () => {
+        target.emit("connectionRestored");
+    });
+
+    source.on("reconnecting", (attempt: number, delay: number) => {
+        target.emit("reconnecting", { attempt, delay });
+    });
+
+    source.on("reconnect", (attempts: number) => {
+        target.emit("reconnect", { attempts });
+    });
+
+    source.on("reconnectFailed", (code: number, reason: string) => {
+        target.emit("reconnectFailed", { code, reason });
+    });
+
+    // A socket error is always followed by a close, which decides whether
+    // the call resumes or ends, so the call is not torn down here.
+    source.on("error", (error: BlandError) => {
+        target.emit("error", error);
+    });
+
+    source.on("agentState", (message: AgentStateMessage) => {
+        target.emit("agentState", message);
+    });
+
+    source.on("callMetadata", (message: CallMetadataMessage) => {
+        target.emit("callMetadata", message);
+    });
+
+    source.on("serverError", (message: ServerErrorMessage) => {
+        target.emit("serverError", message);
+    });
+
+    source.on("callEnded", (message: CallEndedMessage) => {
+        target.emit("callEnded", message);
+    });
+
+    source.on("controlAck", (id: string, type: ControlType) => {
+        target.emit("controlAck", { id, type });
+    });
+
+    source.on("controlError", (id: string, type: ControlType, error: BlandError) => {
+        target.emit("controlError", { id, type, error });
+    });
+};
@@ -1,37 +1,27 @@
-import { EventEmitter } from "eventemitter3";
-import Websocket from "isomorphic-ws";
 import { workletCode } from "./audioWorklet";
-
-const baseEndpoint = "wss://web.bland.ai";
-
-interface AudioWsConfig {
-    callId: string;
-    enableUpdate?: boolean;
-    customEndpoint?: string;
-    agentId?: string | null;
-    sessionToken?: string | null;
-};
-
-interface StartConversationConfig {
-    callId: string;
-    sampleRate: number;
+import { CallClient, CallClientOptions, CallConfig } from "./CallClient";
+import { CallState } from "./callState";
+import { Codec } from "./codecs";
+import { BlandError, asBlandError, microphoneError } from "./errors";
+import { BlandWebClientEvents } from "./events";
+import { AudioLevel, AudioLevels, LevelMeter, LevelOptions, createLevelMeter, frequencyBands } from "./levels";
+import { FrameAccumulator, createFrameAccumulator } from "./packetizer";
+import { JitterBufferOptions, PlaybackQueue, PlaybackStats, createPlaybackQueue } from "./playbackQueue";
+import { CallRecorder, RecordingChannels } from "./recorder";
+import { Resampler, createResampler } from "./resampler";
+import { CallStats } from "./stats";
+import { SpeechGate, VadOptions, VoiceActivityDetector, createSpeechGate, createVoiceActivityDetector } from "./vad";
+
+interface StartConversationConfig extends CallConfig {
+    // Rate spoken on the socket (default 16000). The AudioContext runs at the
+    // device's native rate and audio is resampled in between.
+    sampleRate?: number;
     customStream?: MediaStream;
-    enableUpdate?: boolean;
-
+    // Microphone to open, from listInputDevices(); ignored with customStream.
+    // Defaults to the last device passed to setInputDevice, else the system default.
+    inputDeviceId?: string;
 }
 
-function convertUint8ToFloat32(array: Uint8Array): Float32Array {
-    const targetArray = new Float32Array(array.byteLength / 2);
-
-    // A DataView is used to read our 16-bit little-endian samples out of the Uint8Array buffer
-    const sourceDataView = new DataView(array.buffer);
-
-    // Loop through, get values, and divide by 32,768
-    for (let i = 0; i < targetArray.length; i++) {
-        targetArray[i] = sourceDataView.getInt16(i * 2, true) / Math.pow(2, 16 - 1);
-    }
-    return targetArray;
-}
 
 function convertFloat32ToUint8(array: Float32Array): Uint8Array {
     const buffer = new ArrayBuffer(array.length * 2);
@@ -45,346 +35,790 @@ function convertFloat32ToUint8(array: Float32Array): Uint8Array {
     return new Uint8Array(buffer);
 }
 
-class AudioWsClient extends EventEmitter {
-    private ws: Websocket;
-    private pingTimeout: ReturnType<typeof setTimeout> | null = null;
-    private pingInterval: ReturnType<typeof setInterval> | null = null;
-    private wasDisconnected: boolean = false;
-    private pingIntervalTime: number = 5000;
-    private audioIndex: number = 0;
+// "worklet" renders audio in an AudioWorklet, off the main thread;
+// "scriptProcessor" uses the deprecated ScriptProcessorNode, which works
+// everywhere but glitches when the main thread is busy. "auto" picks the
+// worklet wherever it is available and falls back if it fails to load.
+export type AudioEngine = "worklet" | "scriptProcessor" | "auto";
+
+const audioEngines: AudioEngine[] = ["worklet", "scriptProcessor", "auto"];
+
+// Set once the worklet has failed to load, so later calls go straight to the fallback.
+let workletFailed = false;
+
+// What the server gets while the microphone is muted: nothing at all, or
+// silence at the usual frame rate for servers that expect a steady stream.
+export type MuteMode = "stop" | "silence";
+
+export interface BlandWebClientOptions extends CallClientOptions {
+    jitterBuffer?: JitterBufferOptions;
+    audioEngine?: AudioEngine;
+    // Defaults to "stop".
+    muteMode?: MuteMode;
+    // Voice activity detection on the microphone; false turns it off.
+    vad?: VadOptions | false;
+    // The levels event and level getters; false turns metering off.
+    levels?: LevelOptions | false;
+};
 
-    constructor(audioWsConfig: AudioWsConfig) {
-        super();
-        let endpoint = baseEndpoint + `?agent=${audioWsConfig.agentId}&token=${audioWsConfig.sessionToken}`;
+export class BlandWebClient extends CallClient<BlandWebClientEvents, StartConversationConfig, BlandWebClientOptions> {
+    protected readonly setupState: CallState = "requestingMedia";
+    private audioContext!: AudioContext;
+    private stream!: MediaStream;
+    private source: MediaStreamAudioSourceNode | null = null;
+    // Whether the client opened stream itself, and so may stop it on a switch.
+    private ownsStream: boolean = false;
+    private inputDeviceId: string | null = null;
+    private switchingInput: boolean = false;
 
-        this.ws = new Websocket(endpoint);
-        this.ws.binaryType = "arraybuffer";
+    // Output stage shared by both engines: engine -> gainNode -> speakers.
+    private gainNode!: GainNode;
+    private volume: number = 1;
+    // null plays on the system default output.
+    private outputDeviceId: string | null = null;
+    // Only where the context cannot pick its own output device.
+    private sinkElement: HTMLAudioElement | null = null;
+    private audioNode!: AudioWorkletNode;
 
-        this.ws.onopen = () => {
-            this.emit("open");
+    // Others
+    private captureNode: ScriptProcessorNode | null = null;
+    private playback: PlaybackQueue | null = null;
+
+    // Chosen once per call in setupAudioPlayback.
+    private engine: "worklet" | "scriptProcessor" | null = null;
+
+    private captureResampler: Resampler | null = null;
+    private playbackResampler: Resampler | null = null;
+    private captureFrames: FrameAccumulator | null = null;
+    // Kept across device switches and calls; only the user changes it.
+    private muted: boolean = false;
+    private held: boolean = false;
+
+    public isUserTalking: boolean = false;
+    // Main-thread VAD: used by the ScriptProcessor engine, and by either
+    // engine when a VAD model is configured.
+    private vad: VoiceActivityDetector | null = null;
+    private gate: SpeechGate | null = null;
+    private ducked: boolean = false;
+
+    private inputLevel: AudioLevel = { rms: 0, peak: 0 };
+    private outputLevel: AudioLevel = { rms: 0, peak: 0 };
+    // ScriptProcessor engine only; the worklet meters itself.
+    private meter: LevelMeter | null = null;
+    private inputAnalyser: AnalyserNode | null = null;
+    private outputAnalyser: AnalyserNode | null = null;
+
+    // Outlives the call, so a recording can still be exported after it ends.
+    private recorder: CallRecorder | null = null;
+    // A stopped recording still taking the worklet's last blocks.
+    private drainingRecorder: { recorder: CallRecorder, done: () => void } | null = null;
+
+    // As last reported by the worklet, which owns its playback queue.
+    private workletPlaybackStats: PlaybackStats | null = null;
+
+    constructor(agentId: string, sessionToken: string | null, customEndpoint?: string, options: BlandWebClientOptions = {}) {
+        super(agentId, sessionToken, customEndpoint, options);
+
+        if (options.audioEngine !== undefined && audioEngines.indexOf(options.audioEngine) === -1) {
+            throw new BlandError("INVALID_CONFIG", `Invalid audioEngine "${options.audioEngine}": expected one of ${audioEngines.join(", ")}`);
         };
+    };
 
-        this.ws.onmessage = (event: any) => {
-            try {
-                const data = JSON.parse(event.data);
-                // this will be for handling mark messages
-            } catch (error) {
-                //console.log({ error });
-            };
+    // The engine the current call renders audio with, or null between calls.
+    public get audioEngine(): "worklet" | "scriptProcessor" | null {
+        return this.engine;
+    };
 
-            if (typeof event.data === "string" && event.data === "pong") {
-                this.resetPingTimeout();
-            } else if (event.data instanceof ArrayBuffer) {
-                const audioData = new Uint8Array(event.data);
-                this.emit("audio", audioData);
-            } else if (typeof (event.data) === "string") {
-                if (event.data === "clear") {
-                    this.emit("clear");
-                };
-            };
-        };
+    public get isMuted(): boolean {
+        return this.muted;
+    };
 
-        this.ws.onclose = (event: any) => {
-            this.emit("disconnect");
-            this.emit("close", event.code, event.reason);
-        };
+    public get isOnHold(): boolean {
+        return this.held;
+    };
 
-        this.ws.onerror = (event: any) => {
-            this.emit("error", event);
-        };
+    // Stops sending microphone audio; the microphone itself stays open so
+    // unmuting is instant.
+    public mute(): void {
+        if (this.muted) return;
+        this.muted = true;
+        this.applyMute();
+        this.emit("muteChange", { muted: true });
     };
 
-    resetPingTimeout() {
-        if (this.pingTimeout != null) {
-            clearTimeout(this.pingTimeout);
-        }
-        this.pingTimeout = setTimeout(() => {
-            if (this.pingIntervalTime === 5000) {
-                this.adjustPingFrequency(1000);
-                this.pingTimeout = setTimeout(() => {
-                    this.emit("disconnect");
-                    this.wasDisconnected = true;
-                }, 3000);
-            }
-        }, this.pingIntervalTime);
+    public unmute(): void {
+        if (!this.muted) return;
+        this.muted = false;
+        this.applyMute();
+        this.emit("muteChange", { muted: false });
     };
 
-    adjustPingFrequency(newInterval: number) {
-        if (this.pingIntervalTime !== newInterval) {
-            if (this.pingInterval != null) {
-                clearInterval(this.pingInterval);
-            }
-            this.pingIntervalTime = newInterval;
-        }
+    // Pauses capture and agent playback together by suspending the audio
+    // context. Agent audio that arrives while on hold waits in the playback
+    // queue and plays on resume.
+    public async hold(notifyServer: boolean = true): Promise<void> {
+        if (!this.isCalling || this.held) return;
+        this.held = true;
+        const context = this.audioContext;
+        if (notifyServer) this.liveClient.sendMessage({ type: "hold", held: true });
+        this.emit("holdChange", { held: true });
+        await context.suspend();
     };
 
-    send(audio: Uint8Array) {
-        if (this.ws.readyState === 1) {
-            this.ws.send(audio);
-        };
+    public async resume(notifyServer: boolean = true): Promise<void> {
+        if (!this.isCalling || !this.held) return;
+        this.held = false;
+        const context = this.audioContext;
+        if (notifyServer) this.liveClient.sendMessage({ type: "hold", held: false });
+        this.emit("holdChange", { held: false });
+        await context.resume();
     };
 
-    close() {
-        this.ws.close();
+    // Microphone level, before muting, as of the last levels event.
+    public getInputLevel(): AudioLevel {
+        return this.inputLevel;
     };
-};
 
-export class BlandWebClient extends EventEmitter {
-    private liveClient!: AudioWsClient;
-    private audioContext!: AudioContext;
-    private isCalling: boolean = false;
-    private stream!: MediaStream;
+    // Agent level, before the volume control, as of the last levels event.
+    public getOutputLevel(): AudioLevel {
+        return this.outputLevel;
+    };
 
-    // Chrome
-    private gainNode!: GainNode;
-    private audioNode!: AudioWorkletNode;
-    private customEndpoint!: string;
+    public getVolume(): number {
+        return this.volume;
+    };
 
-    // Others
-    private captureNode: ScriptProcessorNode | null = null;
-    private audioData: Float32Array[] = [];
-    private audioDataIndex: number = 0;
-    public isTalking: boolean = false;
+    // 0 is silent, 1 plays agent audio as received. The change is ramped over
+    // rampTime ms so it does not click.
+    public setVolume(volume: number, rampTime: number = 50): void {
+        if (typeof volume !== "number" || !isFinite(volume) || volume < 0) {
+            throw new BlandError("INVALID_CONFIG", `Invalid volume ${volume}: expected a number of 0 or more`);
+        };
+        this.volume = volume;
+        this.rampGain(rampTime);
+    };
 
-    private agentId: string | null;
-    private sessionToken: string | null;
+    // Labels are empty until the page has been granted microphone access.
+    public async listOutputDevices(): Promise<MediaDeviceInfo[]> {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices.filter((device) => device.kind === "audiooutput");
+    };
 
-    constructor(agentId: string, sessionToken: string, customEndpoint?: string) {
-        super();
+    // Plays the agent on the given output (a deviceId from listOutputDevices,
+    // or "" for the system default). The choice carries over to later calls.
+    public async setOutputDevice(deviceId: string): Promise<void> {
+        if (this.audioContext) await this.routeOutput(deviceId);
+        this.outputDeviceId = deviceId || null;
+    };
 
-        if (customEndpoint) this.customEndpoint = customEndpoint;
-        this.agentId = agentId;
-        this.sessionToken = sessionToken;
-        this.isTalking = false;
+    // Labels are empty until the page has been granted microphone access.
+    public async listInputDevices(): Promise<MediaDeviceInfo[]> {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices.filter((device) => device.kind === "audioinput");
     };
 
-    // bland initialize();
-    public async initConversation(
-        config: StartConversationConfig
-    ): Promise<void> {
+    // Moves capture to another microphone ("" for the system default) without
+    // touching the socket. Between calls it only sets the device the next call
+    // opens. If the new device cannot be opened the current one stays in use.
+    public async setInputDevice(deviceId: string): Promise<void> {
+        if (!this.engine) {
+            this.inputDeviceId = deviceId || null;
+            return;
+        };
+
+        this.switchingInput = true;
         try {
-            await this.setupAudioPlayback(
-                config.sampleRate,
-                config.customStream
-            );
-
-            this.liveClient = new AudioWsClient({
-                callId: "test",
-                customEndpoint: this.customEndpoint,
-                agentId: this.agentId,
-                sessionToken: this.sessionToken,
+            const stream = await this.openMicrophone(deviceId || null);
+            if (!this.engine) {
+                // The call ended while the device was opening.
+                stream.getTracks().forEach((track) => track.stop());
+                return;
+            };
+            this.connectInput(stream, true);
+        } finally {
+            this.switchingInput = false;
+        };
+        this.inputDeviceId = deviceId || null;
+        this.emit("inputDeviceChange", { deviceId: this.currentInputDevice() });
+    };
+
+    // Records the rest of the call, both sides, until stopRecording. Starting
+    // again discards an earlier recording that was never stopped.
+    public startRecording(): void {
+        if (!this.engine) throw new BlandError("INVALID_STATE", "startRecording needs a call in progress");
+        this.recorder = new CallRecorder(this.audioContext.sampleRate);
+        this.audioNode?.port.postMessage(["record", true]);
+    };
+
+    // Resolves with a WAV of everything since startRecording: "stereo" keeps
+    // the user on the left and the agent on the right, "mono" mixes them.
+    public async stopRecording(channels: RecordingChannels = "stereo"): Promise<Blob> {
+        if (!this.recorder) throw new BlandError("INVALID_STATE", "stopRecording called without startRecording");
+        const recorder = this.recorder;
+        this.recorder = null;
+        if (this.audioNode) {
+            // Blocks still crossing the port, and the worklet's partial one,
+            // arrive before its "record_stopped". The timeout covers a
+            // suspended context that never answers.
+            this.finishDraining();
+            await new Promise<void>((resolve) => {
+                const timer = setTimeout(() => this.finishDraining(), 1000);
+                this.drainingRecorder = {
+                    recorder,
+                    done: () => {
+                        clearTimeout(timer);
+                        resolve();
+                    }
+                };
+                this.audioNode.port.postMessage(["record", false]);
             });
+        };
+        return recorder.toWav(channels);
+    };
+
+    private finishDraining(): void {
+        const draining = this.drainingRecorder;
+        this.drainingRecorder = null;
+        draining?.done();
+    };
+
+    public get isRecording(): boolean {
+        return this.recorder !== null;
+    };
+
+    // With the worklet engine the playback figures may be up to a second old.
+    protected playbackStats(): Pick<CallStats, "playback" | "baseLatency" | "outputLatency"> {
+        const context = this.audioContext;
+        return {
+            playback: this.engine === "worklet" ? this.workletPlaybackStats : this.playback ? this.playback.stats() : null,
+            baseLatency: context && context.baseLatency !== undefined ? context.baseLatency * 1000 : null,
+            outputLatency: context && context.outputLatency !== undefined ? context.outputLatency * 1000 : null
+        };
+    };
 
-            this.handleAudioEvents();
-            this.isCalling = true;
+    protected async prepareCall(config: StartConversationConfig): Promise<void> {
+        try {
+            await this.setupAudioPlayback(config.customStream, config.inputDeviceId);
         } catch (error) {
-            this.emit("Error", (error as Error).message);
+            throw asBlandError(error, "AUDIO_FAILED", "Could not set up call audio");
         };
     };
 
-    public stopConversation(): void {
-        this.isCalling = false;
-        this.liveClient?.close();
+    protected releaseCall(): void {
+        this.workletPlaybackStats = null;
         this.audioContext?.suspend();
         this.audioContext?.close();
 
-        if (this.isAudioWorkletSupported()) {
-            this.audioNode?.disconnect();
-            this.audioNode = null;
-        } else {
-            if (this.captureNode) {
-                this.captureNode.disconnect();
-                this.captureNode.onaudioprocess = null;
-                this.captureNode = null;
-                this.audioData = [];
-                this.audioDataIndex = 0;
-            }
-        }
-
-        this.liveClient = null;
+        // The worklet is going away, so it will not answer stopRecording.
+        this.finishDraining();
+        this.audioNode?.disconnect();
+        this.audioNode = null;
+        this.gainNode?.disconnect();
+        this.gainNode = null;
+        if (this.sinkElement) {
+            this.sinkElement.pause();
+            this.sinkElement.srcObject = null;
+            this.sinkElement = null;
+        };
+        if (this.captureNode) {
+            this.captureNode.disconnect();
+            this.captureNode.onaudioprocess = null;
+            this.captureNode = null;
+            this.playback = null;
+        };
+        this.engine = null;
+        this.meter = null;
+        this.inputAnalyser?.disconnect();
+        this.outputAnalyser?.disconnect();
+        this.inputAnalyser = null;
+        this.outputAnalyser = null;
+        this.inputLevel = { rms: 0, peak: 0 };
+        this.outputLevel = { rms: 0, peak: 0 };
+        this.vad = null;
+        this.gate = null;
+        this.ducked = false;
+        this.setUserTalking(false);
+        navigator.mediaDevices?.removeEventListener("devicechange", this.onInputLost);
+        this.stream?.getAudioTracks().forEach((track) => track.removeEventListener("ended", this.onInputLost));
+        this.source?.disconnect();
+        this.source = null;
+        if (this.held) {
+            this.held = false;
+            this.emit("holdChange", { held: false });
+        };
+
+        this.captureFrames = null;
+        this.captureResampler = null;
+        this.playbackResampler = null;
+
         this.stream?.getTracks().forEach((track) => track.stop());
         this.audioContext = null;
         this.stream = null;
     }
 
     private async setupAudioPlayback(
-        sampleRate: number,
-        customStream?: MediaStream
+        customStream?: MediaStream,
+        inputDeviceId?: string
     ): Promise<void> {
-        this.audioContext = new AudioContext({ sampleRate });
+        if (typeof AudioContext === "undefined") {
+            throw new BlandError("AUDIO_UNSUPPORTED", "Web Audio is not supported in this browser");
+        };
+        // Left at the device rate: Firefox refuses to connect a media stream
+        // source to a context running at a different rate.
+        this.audioContext = new AudioContext();
+        if (inputDeviceId !== undefined) this.inputDeviceId = inputDeviceId || null;
+        const stream = customStream || await this.openMicrophone(this.inputDeviceId);
+        // Held from the start so stopConversation releases it if setup fails.
+        this.stream = stream;
+
+        this.gainNode = this.audioContext.createGain();
+        this.gainNode.gain.value = this.volume;
+        this.gainNode.connect(this.audioContext.destination);
+        if (this.outputDeviceId) {
+            try {
+                await this.routeOutput(this.outputDeviceId);
+            } catch (error) {
+                // The device may have been unplugged since it was chosen; the
+                // call still goes ahead on the default output.
+                this.outputDeviceId = null;
+                this.emit("error", error);
+            };
+        };
+
+        const preference = this.options.audioEngine || "auto";
+        if (preference !== "scriptProcessor") {
+            if (!this.canUseAudioWorklet() || (workletFailed && preference === "auto")) {
+                if (preference === "worklet") {
+                    throw new BlandError("WORKLET_UNSUPPORTED", "AudioWorklet is not supported in this browser");
+                };
+            } else {
+                try {
+                    await this.setupWorklet();
+                    this.engine = "worklet";
+                } catch (error) {
+                    // addModule fails where blob: modules are blocked, e.g. by a
+                    // strict Content-Security-Policy.
+                    if (preference === "worklet") {
+                        throw new BlandError("WORKLET_LOAD_FAILED", "Could not load the audio worklet", { cause: error });
+                    };
+                    workletFailed = true;
+                    this.audioNode?.disconnect();
+                    this.audioNode = null;
+                };
+            };
+        };
+        if (!this.engine) {
+            this.setupScriptProcessor();
+            this.engine = "scriptProcessor";
+        };
+
+        const levels = this.levelOptions();
+        if (levels && levels.bands > 0) {
+            this.inputAnalyser = this.audioContext.createAnalyser();
+            this.outputAnalyser = this.audioContext.createAnalyser();
+            this.inputAnalyser.fftSize = this.outputAnalyser.fftSize = 1024;
+            (this.engine === "worklet" ? this.audioNode : this.captureNode).connect(this.outputAnalyser);
+        };
+
+        this.connectInput(stream, !customStream);
+        navigator.mediaDevices?.addEventListener("devicechange", this.onInputLost);
+    };
+
+    private async openMicrophone(deviceId: string | null): Promise<MediaStream> {
+        // Missing outside secure contexts.
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            throw new BlandError("AUDIO_UNSUPPORTED", "Microphone access is not available; the page must be served over https");
+        };
         try {
-            this.stream = customStream ||
-                (await navigator.mediaDevices.getUserMedia({
-                    audio: {
-                        sampleRate: sampleRate,
-                        echoCancellation: true,
-                        noiseSuppression: true,
-                        channelCount: 1
-                    }
-                }));
+            return await navigator.mediaDevices.getUserMedia({
+                audio: {
+                    echoCancellation: true,
+                    noiseSuppression: true,
+                    channelCount: 1,
+                    ...(deviceId ? { deviceId: { exact: deviceId } } : {})
+                }
+            });
         } catch (error) {
-            throw new Error("User rejected microphone access");
+            throw microphoneError(error);
         };
+    };
 
-        if (this.isAudioWorkletSupported()) {
-            this.audioContext.resume();
-            const blob = new Blob([workletCode], { type: "application/javascript" });
-            const blobUrl = URL.createObjectURL(blob);
-            console.log({ blobUrl });
+    // Feeds stream to whichever engine is running, replacing the previous input.
+    private connectInput(stream: MediaStream, owned: boolean): void {
+        const previous = this.stream;
+        this.source?.disconnect();
+        if (previous && previous !== stream) {
+            previous.getAudioTracks().forEach((track) => track.removeEventListener("ended", this.onInputLost));
+            if (this.ownsStream) previous.getTracks().forEach((track) => track.stop());
+        };
 
-            await this.audioContext.audioWorklet.addModule(blobUrl);
+        this.stream = stream;
+        this.ownsStream = owned;
+        stream.getAudioTracks().forEach((track) => track.addEventListener("ended", this.onInputLost));
+        this.source = this.audioContext.createMediaStreamSource(stream);
+        this.source.connect(this.engine === "worklet" ? this.audioNode : this.captureNode);
+        if (this.inputAnalyser) this.source.connect(this.inputAnalyser);
+    };
 
-            this.audioNode = new AudioWorkletNode(
-                this.audioContext,
-                "capture-and-playback-processor"
-            );
-
-            this.audioNode.port.onmessage = (event) => {
-                let data = event.data;
-                if (Array.isArray(data)) {
-                    //console.log(data)
-                    //this.emit("audio", data[0]);
-                    let eventName = data[0];
-                    if (eventName === "capture") {
-                        this.liveClient?.send(data[1]);
-                    } else if (eventName === "playback") {
-                        this.emit("audio", data[1]);
-                    };
-                } else {
+    private currentInputDevice(): string | null {
+        const track = this.stream?.getAudioTracks()[0];
+        return (track && track.getSettings().deviceId) || null;
+    };
 
-                    console.log({ data })
+    // An unplugged microphone ends its track, and devicechange fires for it
+    // too. Either way the call moves to the default input.
+    private onInputLost = async (): Promise<void> => {
+        if (!this.engine || this.switchingInput) return;
 
-                    if (data === "clear") {
-                        this.audioData = [];
-                    }
+        // An event listener: nothing would catch a rejection from here.
+        try {
+            const track = this.stream?.getAudioTracks()[0];
+            if (track && track.readyState === "live") {
+                // Some other device came or went.
+                const deviceId = track.getSettings().deviceId;
+                const devices = await this.listInputDevices();
+                if (!deviceId || devices.some((device) => device.deviceId === deviceId)) return;
+            };
 
-                    if (data === "agent_stop_talking") {
-                        this.emit("agentStopTalking");
-                    } else if (data === "agent_start_talking") {
-                        this.emit("agentStartTalking");
-                    };
+            this.emit("inputDeviceLost", { deviceId: this.currentInputDevice() });
+            await this.setInputDevice("");
+        } catch (error) {
+            this.emit("error", asBlandError(error, "MIC_FAILED", "Could not switch to the default microphone"));
+        };
+    };
+
+    // Feature detection rather than browser detection: the worklet also needs a
+    // secure context, outside of which audioWorklet is undefined.
+    private canUseAudioWorklet(): boolean {
+        return (
+            typeof AudioWorkletNode !== "undefined" &&
+            !!this.audioContext.audioWorklet &&
+            typeof Blob !== "undefined" &&
+            typeof URL !== "undefined" &&
+            typeof URL.createObjectURL === "function"
+        );
+    };
+
+    private async setupWorklet(): Promise<void> {
+        this.audioContext.resume();
+        const blob = new Blob([workletCode], { type: "application/javascript" });
+        const blobUrl = URL.createObjectURL(blob);
+        try {
+            await this.audioContext.audioWorklet.addModule(blobUrl);
+        } finally {
+            URL.revokeObjectURL(blobUrl);
+        };
+
+        this.audioNode = new AudioWorkletNode(
+            this.audioContext,
+            "capture-and-playback-processor"
+        );
+        this.audioNode.port.postMessage(["codec", this.codecName]);
+        this.audioNode.port.postMessage(["wireRate", this.wireRate]);
+        this.audioNode.port.postMessage(["frame", this.frameDuration]);
+        if (this.options.jitterBuffer) {
+            this.audioNode.port.postMessage(["jitterBuffer", this.options.jitterBuffer]);
+        };
+        this.applyMute();
+        const levels = this.levelOptions();
+        if (levels) this.audioNode.port.postMessage(["levels", levels.interval || 50]);
+        const vad = this.vadOptions();
+        if (vad && vad.model) {
+            this.audioNode.port.postMessage(["rawCapture", true]);
+            this.setupVad();
+        } else if (vad) {
+            this.audioNode.port.postMessage(["vad", {
+                threshold: vad.threshold,
+                minLevel: vad.minLevel,
+                minSpeech: vad.minSpeech,
+                hangover: vad.hangover,
+                gate: vad.gate
+            }]);
+        };
+
+        this.audioNode.port.onmessage = (event) => {
+            let data = event.data;
+            if (Array.isArray(data)) {
+                let eventName = data[0];
+                if (eventName === "capture") {
+                    this.sendCapture(data[1], data[2], data[3]);
+                } else if (eventName === "recording") {
+                    const recorder = this.drainingRecorder ? this.drainingRecorder.recorder : this.recorder;
+                    recorder?.push(data[1], data[2]);
+                } else if (eventName === "record_stopped") {
+                    this.finishDraining();
+                } else if (eventName === "levels") {
+                    this.onLevels(data[1]);
+                } else if (eventName === "playback_stats") {
+                    this.workletPlaybackStats = data[1];
+                } else if (eventName === "capture_raw") {
+                    if (data[2] === this.codecName) this.captureFrame(data[1]);
+                } else if (eventName === "playback") {
+                    this.emit("audio", data[1]);
+                } else if (eventName === "mark_played") {
+                    this.onMarkPlayed(data[1], data[2]);
+                } else if (eventName === "mark_interrupted") {
+                    this.onMarkInterrupted(data[1], data[2]);
+                };
+            } else {
+                if (data === "agent_stop_talking") {
+                    this.isTalking = false;
+                    this.emit("agentStopTalking");
+                } else if (data === "agent_start_talking") {
+                    this.isTalking = true;
+                    this.emit("agentStartTalking");
+                } else if (data === "user_start_talking") {
+                    this.setUserTalking(true);
+                } else if (data === "user_stop_talking") {
+                    this.setUserTalking(false);
                 };
             };
+        };
 
-            const source = this.audioContext.createMediaStreamSource(this.stream);
-            source.connect(this.audioNode);
-            this.audioNode.connect(this.audioContext.destination);
-        } else {
-            const source = this.audioContext.createMediaStreamSource(this.stream);
-            this.captureNode = this.audioContext.createScriptProcessor(2048, 1, 1);
-            this.captureNode.onaudioprocess = (
-                AudioProcessingEvent: AudioProcessingEvent
-            ) => {
-                if (this.isCalling) {
-                    const pcmFloat32Data = AudioProcessingEvent.inputBuffer.getChannelData(0);
-                    const pcmData = convertFloat32ToUint8(pcmFloat32Data);
-
-                    const bufferLength = pcmFloat32Data.length;
-                    const outputData = new Int16Array(bufferLength);
-
-                    for (let i = 0; i < bufferLength; i++) {
-                        const compression = 32767;
-                        const pcmSample = Math.max(-1, Math.min(1, pcmFloat32Data[i]));
-                        outputData[i] = pcmSample * compression;
-                    };
-
-                    this.liveClient.send(pcmData);
-                    const outputBuffer = AudioProcessingEvent.outputBuffer;
-                    const outputChannel = outputBuffer.getChannelData(0);
-
-                    for (let i = 0; i < outputChannel.length; ++i) {
-                        if (this.audioData.length > 0) {
-                            outputChannel[i] = this.audioData[0][this.audioDataIndex++];
-                            if (this.audioDataIndex === this.audioData[0].length) {
-                                this.audioData.shift();
-                                this.audioDataIndex = 0;
-                            };
-                        } else {
-                            outputChannel[i] = 0;
-                        };
-                    };
+        this.audioNode.connect(this.gainNode);
+    };
 
-                    this.emit("audio", convertFloat32ToUint8(outputChannel));
-                    if (!this.audioData.length && this.isTalking) {
-                        this.isTalking = false;
-                        this.emit("agentStopTalking");
-                    };
+    private setupScriptProcessor(): void {
+        this.captureFrames = createFrameAccumulator(this.frameSamples());
+        this.captureResampler = createResampler(this.audioContext.sampleRate, this.wireRate);
+        this.playbackResampler = createResampler(this.wireRate, this.audioContext.sampleRate);
+        this.playback = createPlaybackQueue(this.audioContext.sampleRate, this.options.jitterBuffer);
+        this.setupVad();
+        const levels = this.levelOptions();
+        if (levels) this.meter = createLevelMeter(this.audioContext.sampleRate, levels.interval || 50);
+        this.captureNode = this.audioContext.createScriptProcessor(2048, 1, 1);
+        this.captureNode.onaudioprocess = (
+            AudioProcessingEvent: AudioProcessingEvent
+        ) => {
+            if (this.isCalling) {
+                const mute = this.captureMute();
+                if (mute !== "stop") {
+                    const pcmFloat32Data = mute === "silence"
+                        ? new Float32Array(AudioProcessingEvent.inputBuffer.length)
+                        : AudioProcessingEvent.inputBuffer.getChannelData(0);
+                    this.captureFrames.push(this.captureResampler.process(pcmFloat32Data), this.captureFrame);
                 };
+                const outputBuffer = AudioProcessingEvent.outputBuffer;
+                const outputChannel = outputBuffer.getChannelData(0);
+
+                this.playback.read(outputChannel, this.audioContext.currentTime, this.onMarkPlayed);
+                this.meter?.measure(AudioProcessingEvent.inputBuffer.getChannelData(0), outputChannel, this.onLevels);
+                if (this.recorder) {
+                    const sent = this.muted ? new Float32Array(outputChannel.length) : AudioProcessingEvent.inputBuffer.getChannelData(0);
+                    this.recorder.push(sent, outputChannel);
+                };
+
+                this.emit("audio", convertFloat32ToUint8(outputChannel));
+                this.updateTalking();
             };
+        };
 
-            source.connect(this.captureNode);
-            this.captureNode.connect(this.audioContext.destination);
+        this.captureNode.connect(this.gainNode);
+    };
+
+    protected clearPlayback(): void {
+        if (this.engine === "worklet") {
+            this.audioNode.port.postMessage("clear");
+        } else if (this.playback) {
+            this.playback.clear(this.onMarkInterrupted);
+            this.playbackResampler.reset();
+            this.updateTalking();
         };
     };
 
-    private handleAudioEvents(): void {
-        // Exposed
-        this.liveClient.on("open", () => {
-            this.emit("conversationStarted");
-        });
+    private levelOptions(): LevelOptions | null {
+        return this.options.levels === false ? null : this.options.levels || {};
+    };
 
-        this.liveClient.on("audio", (audio: Uint8Array) => {
-            this.playAudio(audio);
-        });
+    private onLevels = (levels: number[]): void => {
+        this.inputLevel = { rms: levels[0], peak: levels[1] };
+        this.outputLevel = { rms: levels[2], peak: levels[3] };
 
-        this.liveClient.on("disconnect", () => {
-            this.emit("disconnect");
-        });
+        const event: AudioLevels = { input: this.inputLevel, output: this.outputLevel };
+        const bands = this.levelOptions().bands;
+        if (bands > 0 && this.inputAnalyser) {
+            event.bands = {
+                input: frequencyBands(this.inputAnalyser, bands),
+                output: frequencyBands(this.outputAnalyser, bands)
+            };
+        };
+        this.emit("levels", event);
+    };
 
-        this.liveClient.on("reconnect", () => {
-            this.emit("reconnect");
-        });
+    private vadOptions(): VadOptions | null {
+        return this.options.vad === false ? null : this.options.vad || {};
+    };
 
-        this.liveClient.on("error", (error) => {
-            this.emit("error", error);
-            if (this.isCalling) {
-                this.stopConversation();
-            };
-        });
+    private setupVad(): void {
+        const vad = this.vadOptions();
+        if (!vad) return;
+        this.vad = createVoiceActivityDetector(this.wireRate, vad);
+        if (vad.gate) {
+            const minSpeech = vad.minSpeech === undefined ? 60 : vad.minSpeech;
+            this.gate = createSpeechGate(Math.ceil(minSpeech / this.frameDuration) + 1);
+        };
+    };
 
-        this.liveClient.on("close", (code: number, reason: string) => {
-            if (this.isCalling) {
-                this.stopConversation();
-            };
-            this.emit("conversationEnded", { code, reason });
-        });
+    // Capture frames that reach the main thread as samples, before encoding.
+    private captureFrame = (frame: Float32Array): void => {
+        if (this.vad) {
+            const model = this.vadOptions().model;
+            this.setUserTalking(this.vad.process(frame, model ? model(frame, this.wireRate) : undefined));
+        };
+
+        const send = (frame: Float32Array) => {
+            this.sendCapture(this.codec ? this.codec.encode(frame) : frame, this.codecName, frame.length);
+        };
+        if (this.gate) {
+            this.gate.push(frame, this.isUserTalking, send);
+        } else {
+            send(frame);
+        };
+    };
+
+    private setUserTalking(talking: boolean): void {
+        if (talking === this.isUserTalking) return;
+        this.isUserTalking = talking;
+        this.emit(talking ? "userStartTalking" : "userStopTalking");
+
+        const vad = this.vadOptions();
+        const bargeIn = (vad && vad.bargeIn) || "none";
+        if (bargeIn === "duck") {
+            // Reversible, so a cough only dips the agent for a moment.
+            this.ducked = talking;
+            this.rampGain(talking ? 20 : 200);
+        } else if (bargeIn === "clear" && talking && this.isTalking) {
+            this.interruptAgent();
+        };
+    };
 
-        this.liveClient.on("update", (update) => {
-            this.emit("update", update);
-        });
+    private rampGain(rampTime: number): void {
+        if (!this.gainNode) return;
+        const vad = this.vadOptions();
+        const duckLevel = vad && vad.duckLevel !== undefined ? vad.duckLevel : 0.2;
+        const target = this.volume * (this.ducked ? duckLevel : 1);
+
+        const gain = this.gainNode.gain;
+        const now = this.audioContext.currentTime;
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(gain.value, now);
+        gain.linearRampToValueAtTime(target, now + Math.max(0, rampTime) / 1000);
+    };
 
-        // Not exposed
-        this.liveClient.on("clear", () => {
-            if (this.isAudioWorkletSupported()) {
-                this.audioNode.port.postMessage("clear");
+    private async routeOutput(deviceId: string): Promise<void> {
+        // AudioContext.setSinkId is not in lib.dom yet.
+        const context = this.audioContext as any;
+        const contextSink = typeof context.setSinkId === "function";
+        if (!contextSink && (typeof HTMLMediaElement === "undefined" || typeof HTMLMediaElement.prototype.setSinkId !== "function")) {
+            throw new BlandError("OUTPUT_DEVICE_UNSUPPORTED", "Choosing an output device is not supported in this browser");
+        };
+        try {
+            if (contextSink) {
+                await context.setSinkId(deviceId);
             } else {
-                this.audioData = [];
-                this.audioDataIndex = 0;
-                if (this.isTalking) {
-                    this.isTalking = false;
-                    this.emit("agentStopTalking");
-                }
-            }
-        });
+                await this.routeOutputElement(deviceId);
+            };
+        } catch (error) {
+            // Usually a device that has since been unplugged.
+            throw new BlandError("OUTPUT_DEVICE_FAILED", `Could not play through output device "${deviceId}"`, { cause: error });
+        };
     };
 
-    private isAudioWorkletSupported(): boolean {
-        return (
-            /Chrome/.test(navigator.userAgent) && /Google Inc/.test(navigator.vendor)
-        );
+    private async routeOutputElement(deviceId: string): Promise<void> {
+        if (!this.sinkElement) {
+            // Older engines can only route media elements, so the context
+            // plays into one instead of straight to the speakers.
+            const destination = this.audioContext.createMediaStreamDestination();
+            const element = new Audio();
+            element.srcObject = destination.stream;
+            await element.setSinkId(deviceId);
+            this.gainNode.disconnect();
+            this.gainNode.connect(destination);
+            this.sinkElement = element;
+            await element.play();
+            return;
+        };
+        await this.sinkElement.setSinkId(deviceId);
+    };
+
+    private captureMute(): MuteMode | null {
+        return this.muted ? this.options.muteMode || "stop" : null;
     };
 
-    private playAudio(audio: Uint8Array): void {
-        if (this.isAudioWorkletSupported()) {
+    private applyMute(): void {
+        this.audioNode?.port.postMessage(["mute", this.captureMute()]);
+        // The worklet resets its own VAD on the message above.
+        this.vad?.reset();
+        this.gate?.reset();
+        if (this.vad) this.setUserTalking(false);
+        // A half-filled frame would mix audio from before and after the switch.
+        this.captureResampler?.reset();
+        this.captureFrames?.reset();
+    };
+
+    protected playAudio(audio: Uint8Array | Float32Array): void {
+        if (this.engine === "worklet") {
             this.audioNode.port.postMessage(audio);
         } else {
-            const float32Data = convertUint8ToFloat32(audio);
-            this.audioData.push(float32Data);
+            const float32Data = audio instanceof Float32Array ? audio : this.codec.decode(audio);
+            this.playback.push(this.playbackResampler.process(float32Data), this.audioContext.currentTime);
+            this.updateTalking();
+        };
+    };
 
-            if (!this.isTalking) {
-                this.isTalking = true;
-                this.emit("agentStartTalking");
-            };
+    // Follows the jitter buffer, which rides out underruns instead of ending
+    // the agent's turn on every gap.
+    private updateTalking(): void {
+        if (this.playback.isTalking() === this.isTalking) return;
+        this.isTalking = this.playback.isTalking();
+        this.emit(this.isTalking ? "agentStartTalking" : "agentStopTalking");
+    };
+
+    protected setCodec(name: Codec): void {
+        super.setCodec(name);
+        this.audioNode?.port.postMessage(["codec", name]);
+    };
+
+    private frameSamples(): number {
+        return Math.round(this.wireRate * this.frameDuration / 1000);
+    };
+
+    private sendCapture(audio: Uint8Array | Float32Array, codec: Codec, samples: number): void {
+        // Frames encoded before a codec change are in a format the server will not expect.
+        if (codec !== this.codecName) return;
+
+        if (this.opusEncoder) {
+            this.opusEncoder.encode(audio as Float32Array);
+        } else {
+            this.sendPacket(audio as Uint8Array, samples);
+        };
+    };
+
+    // Marks sit in the playback queue behind the audio sent before them, so
+    // they fire when the user has actually heard that audio.
+    protected queueMark(name: string): void {
+        if (this.engine === "worklet") {
+            this.audioNode.port.postMessage(["mark", name]);
+        } else {
+            this.playback.pushMark(name);
         };
     };
+
+    // Playback counts samples at the context rate; the server counts them at the wire rate.
+    private toWireSamples(samples: number): number {
+        const contextRate = this.audioContext ? this.audioContext.sampleRate : this.wireRate;
+        return Math.round(samples * this.wireRate / contextRate);
+    };
+
+    private onMarkPlayed = (name: string, samples: number): void => {
+        const playedSamples = this.toWireSamples(samples);
+        this.liveClient?.sendMessage({ type: "mark", name, status: "played", played_samples: playedSamples });
+        this.emit("markPlayed", { name, playedSamples });
+    };
+
+    private onMarkInterrupted = (name: string, samples: number): void => {
+        const playedSamples = this.toWireSamples(samples);
+        this.liveClient?.sendMessage({ type: "mark", name, status: "interrupted", played_samples: playedSamples });
+        this.emit("markInterrupted", { name, playedSamples });
+    };
 };
\ No newline at end of file
@@ -0,0 +1,396 @@
+import { EventEmitter } from "eventemitter3";
+import { AudioWsClient, HeartbeatOptions, ReconnectOptions, forwardConnectionEvents, waitForOpen } from "./AudioWsClient";
+import { CallState, canTransition, isCallActive } from "./callState";
+import { Codec, SampleCodec, createSampleCodec, resolveCodecs } from "./codecs";
+import { RequestData, parseEndpoint, validateRequestData } from "./endpoint";
+import { BlandError, asBlandError } from "./errors";
+import { CallEvents, EmitterOf, emitError } from "./events";
+import { OpusDecoder, OpusEncoder } from "./opus";
+import { OutboundBufferOptions } from "./OutboundQueue";
+import { Depacketizer, Framing, Packetizer, validateFraming } from "./packetizer";
+import { CloseCodes, MarkMessage, TranscriptMessage } from "./protocol";
+import { CallStats, StatsOptions } from "./stats";
+import { TranscriptFormat, TranscriptStore, Utterance } from "./transcript";
+
+// The call lifecycle both clients share: the state machine, the socket and
+// its events, codecs and framing, the transcript, stats and control
+// messages. Subclasses supply the audio: where caller audio comes from, how
+// agent audio and marks are played out, and what is released at the end.
+
+export interface CallConfig {
+    callId: string;
+    // Rate spoken on the socket. Defaults to 16000.
+    sampleRate?: number;
+    // Passed through to the agent as-is, e.g. caller metadata, language or voice overrides.
+    requestData?: RequestData;
+    // Codecs to offer, most preferred first. pcm16 is always offered last.
+    codec?: Codec | Codec[];
+    // Milliseconds of audio per message: 10, 20 (default), 40 or 60.
+    frameDuration?: number;
+    // "packet" adds sequence numbers and timestamps; the server must support it.
+    framing?: Framing;
+    // Also emit "update" with the whole transcript whenever it changes.
+    enableUpdate?: boolean;
+};
+
+export interface CallClientOptions {
+    // Mints a short-lived token before every connect and reconnect. When set,
+    // the sessionToken constructor argument is ignored and may be null.
+    getSessionToken?: () => Promise<string>;
+    maxAuthRetries?: number;
+    reconnect?: ReconnectOptions;
+    heartbeat?: HeartbeatOptions;
+    // How long the server gets to confirm the call, in ms; defaults to 10 s.
+    connectTimeout?: number;
+    outboundBuffer?: OutboundBufferOptions;
+    // The stats event; false turns it off. getStats() works either way.
+    stats?: StatsOptions | false;
+};
+
+export abstract class CallClient<
+    Events extends CallEvents,
+    Config extends CallConfig,
+    Options extends CallClientOptions
+> extends EventEmitter<Events> {
+    protected liveClient: AudioWsClient | null = null;
+    private callState: CallState = "idle";
+    private customEndpoint: string | undefined;
+
+    protected codecName: Codec = "pcm16";
+    protected codec: SampleCodec | null = createSampleCodec("pcm16");
+    protected opusEncoder: OpusEncoder | null = null;
+    protected opusDecoder: OpusDecoder | null = null;
+
+    protected wireRate: number = 16000;
+    protected frameDuration: number = 20;
+    protected packetizer: Packetizer | null = null;
+    protected depacketizer: Depacketizer | null = null;
+    public isTalking: boolean = false;
+
+    private transcript: TranscriptStore = new TranscriptStore();
+    private enableUpdate: boolean = false;
+
+    private statsTimer: ReturnType<typeof setInterval> | null = null;
+    // Taken as the call is torn down, for getStats() after it ends.
+    private lastStats: CallStats | null = null;
+
+    private agentId: string;
+    private sessionToken: string | null;
+    protected options: Options;
+
+    // The state initConversation starts in; it moves on to "connecting" once
+    // prepareCall resolves.
+    protected abstract readonly setupState: CallState;
+
+    constructor(agentId: string, sessionToken: string | null, customEndpoint: string | undefined, options: Options) {
+        super();
+
+        if (!agentId) throw new BlandError("INVALID_CONFIG", "agentId is required");
+        if (!sessionToken && !options.getSessionToken) throw new BlandError("INVALID_CONFIG", "sessionToken or options.getSessionToken is required");
+        if (customEndpoint) {
+            parseEndpoint(customEndpoint);
+            this.customEndpoint = customEndpoint;
+        };
+        this.agentId = agentId;
+        this.sessionToken = sessionToken;
+        this.options = options;
+    };
+
+    // Typed input from the user, which the agent takes like something said.
+    // Like sendDtmf and updateContext, returns the id that the controlAck or
+    // controlError event for it carries.
+    public sendText(text: string): string {
+        return this.activeClient("sendText").sendText(text);
+    };
+
+    // Keypad presses for IVR flows, e.g. "1" or "4321#".
+    public sendDtmf(digits: string): string {
+        return this.activeClient("sendDtmf").sendDtmf(digits);
+    };
+
+    // Structured page state for the agent, e.g. { page: "checkout", cart: [...] }.
+    public updateContext(context: { [key: string]: unknown }): string {
+        return this.activeClient("updateContext").updateContext(context);
+    };
+
+    // Everything said so far this call, in order; kept after the call ends
+    // until the next one starts.
+    public getTranscript(): Utterance[] {
+        return this.transcript.get();
+    };
+
+    public exportTranscript(format: TranscriptFormat = "json"): string {
+        return this.transcript.export(format);
+    };
+
+    // Health of the current call, or of the last one once it has ended; null
+    // before the first call starts.
+    public getStats(): CallStats | null {
+        if (!this.liveClient) return this.lastStats;
+        return {
+            ...this.liveClient.getStats(),
+            codec: this.codecName,
+            ...this.playbackStats()
+        };
+    };
+
+    public get state(): CallState {
+        return this.callState;
+    };
+
+    // Resolves once the call is connected; rejects if it fails or is stopped first.
+    public async initConversation(config: Config): Promise<void> {
+        if (isCallActive(this.callState)) throw new BlandError("INVALID_STATE", `Cannot start a conversation while one is ${this.callState}`);
+        if (config.requestData) validateRequestData(config.requestData);
+        validateFraming(config.frameDuration, config.framing);
+
+        const setupState = this.setupState;
+        this.setState(setupState);
+        try {
+            this.transcript = new TranscriptStore();
+            this.enableUpdate = !!config.enableUpdate;
+            this.frameDuration = config.frameDuration || 20;
+            if (config.framing === "packet") {
+                this.packetizer = new Packetizer(this.frameDuration);
+                this.depacketizer = new Depacketizer();
+            };
+
+            this.wireRate = config.sampleRate || 16000;
+            const offeredCodecs = await resolveCodecs(config.codec, this.wireRate);
+            this.setCodec(offeredCodecs[0]);
+
+            await this.prepareCall(config);
+            if (this.callState !== setupState) throw new BlandError("CALL_STOPPED", "Conversation stopped before it connected");
+
+            this.setState("connecting");
+            this.liveClient = new AudioWsClient({
+                callId: config.callId,
+                customEndpoint: this.customEndpoint,
+                agentId: this.agentId,
+                sessionToken: this.sessionToken,
+                getSessionToken: this.options.getSessionToken,
+                maxAuthRetries: this.options.maxAuthRetries,
+                requestData: config.requestData,
+                codecs: offeredCodecs,
+                sampleRate: this.wireRate,
+                framing: config.framing,
+                frameDuration: this.frameDuration,
+                reconnect: this.options.reconnect,
+                heartbeat: this.options.heartbeat,
+                connectTimeout: this.options.connectTimeout,
+                outboundBuffer: this.options.outboundBuffer,
+            });
+
+            this.handleConnectionEvents(config);
+            await waitForOpen(this.liveClient);
+        } catch (error) {
+            this.teardown();
+            // Only stopConversation ends a call that never connected.
+            if (this.callState === "ended") throw new BlandError("CALL_STOPPED", "Conversation stopped before it connected");
+            const failure = asBlandError(error, "CONNECTION_FAILED", "Could not start the call");
+            this.setState("failed");
+            emitError(this.callEvents, failure);
+            throw failure;
+        };
+    };
+
+    public stopConversation(): void {
+        if (!isCallActive(this.callState) || this.callState === "ending") return;
+        this.setState("ending");
+
+        // With a socket, its close event finishes the transition.
+        const hasSocket = !!this.liveClient;
+        this.teardown();
+        if (!hasSocket) this.setState("ended");
+    };
+
+    protected get isCalling(): boolean {
+        return this.callState === "connecting" || this.callState === "connected" || this.callState === "reconnecting";
+    };
+
+    private activeClient(action: string): AudioWsClient {
+        if (!this.liveClient) throw new BlandError("INVALID_STATE", `${action} needs a call in progress`);
+        return this.liveClient;
+    };
+
+    private setState(state: CallState): void {
+        if (state === this.callState || !canTransition(this.callState, state)) return;
+        const previous = this.callState;
+        this.callState = state;
+        this.callEvents.emit("stateChange", { state, previous });
+    };
+
+    // Releases everything the call holds except the socket's listeners. Safe
+    // to call more than once.
+    private teardown(): void {
+        if (this.liveClient) this.lastStats = this.getStats();
+        if (this.statsTimer != null) {
+            clearInterval(this.statsTimer);
+            this.statsTimer = null;
+        };
+        this.releaseCall();
+        this.liveClient?.close();
+        this.liveClient = null;
+
+        this.opusEncoder?.close();
+        this.opusDecoder?.close();
+        this.opusEncoder = null;
+        this.opusDecoder = null;
+        this.packetizer = null;
+        this.depacketizer = null;
+    };
+
+    // Events emitted from here are common to both clients' maps, but the
+    // compiler cannot see that through the type parameter.
+    private get callEvents(): EmitterOf<CallEvents> {
+        return this as unknown as EmitterOf<CallEvents>;
+    };
+
+    // Whatever the call needs before it connects, e.g. the microphone.
+    protected abstract prepareCall(config: Config): Promise<void>;
+
+    // The playout side of getStats().
+    protected abstract playbackStats(): Pick<CallStats, "playback" | "baseLatency" | "outputLatency">;
+
+    // Agent audio off the socket: still encoded, or decoded Opus.
+    protected abstract playAudio(audio: Uint8Array | Float32Array): void;
+
+    // Marks wait behind the agent audio received before them.
+    protected abstract queueMark(name: string): void;
+
+    // The server interrupted the agent.
+    protected abstract clearPlayback(): void;
+
+    // Releases what prepareCall and playback hold. Runs before the socket
+    // closes, so marks can still be reported, and may run more than once.
+    protected abstract releaseCall(): void;
+
+    // Runs as the call connects, after "conversationStarted".
+    protected onConversationStarted(config: Config): void {};
+
+    private handleConnectionEvents(config: Config): void {
+        this.liveClient.on("open", () => {
+            this.setState("connected");
+            this.startStats();
+            this.callEvents.emit("conversationStarted");
+            this.onConversationStarted(config);
+        });
+
+        this.liveClient.on("audio", (audio: Uint8Array) => {
+            if (this.depacketizer) {
+                const packet = this.depacketizer.unwrap(audio);
+                if (!packet) return;
+                audio = packet.payload;
+            };
+
+            if (this.opusDecoder) {
+                this.opusDecoder.decode(audio);
+            } else {
+                this.playAudio(audio);
+            };
+        });
+
+        this.liveClient.on("codecChange", (codec: Codec) => {
+            this.setCodec(codec);
+            this.callEvents.emit("codecChange", { codec });
+        });
+
+        this.liveClient.on("reconnecting", () => {
+            this.setState("reconnecting");
+        });
+
+        this.liveClient.on("reconnect", () => {
+            // The resumed socket may restart its sequence numbers.
+            if (this.depacketizer) this.depacketizer = new Depacketizer();
+            this.setState("connected");
+        });
+
+        forwardConnectionEvents(this.liveClient, this.callEvents);
+
+        this.liveClient.on("close", (code: number, reason: string, error: BlandError | null) => {
+            const previous = this.callState;
+            this.teardown();
+            if (previous === "ending") {
+                this.setState("ended");
+            } else if (previous !== "connecting" && code === CloseCodes.Normal) {
+                this.setState("ended");
+            } else {
+                // A call that never connected has failed however the socket
+                // closed; initConversation reports that one.
+                this.setState("failed");
+                if (previous !== "connecting" && error) emitError(this.callEvents, error);
+            };
+            this.callEvents.emit("conversationEnded", { code, reason });
+        });
+
+        this.liveClient.on("mark", (message: MarkMessage) => {
+            // Behind the Opus audio still being decoded, which the server sent first.
+            if (this.opusDecoder) {
+                this.opusDecoder.whenDecoded(() => this.queueMark(message.name));
+            } else {
+                this.queueMark(message.name);
+            };
+        });
+
+        this.liveClient.on("transcript", (message: TranscriptMessage) => {
+            this.onUtterance(this.transcript.add(message));
+        });
+
+        this.liveClient.on("clear", () => {
+            this.interruptAgent();
+        });
+    };
+
+    // The agent was cut off, by the server or by a local barge-in.
+    protected interruptAgent(): void {
+        if (this.isTalking) {
+            const interrupted = this.transcript.markInterrupted();
+            if (interrupted) this.onUtterance(interrupted);
+        };
+        // Marks still waiting on the decoder are queued first, so the clear
+        // reports them as interrupted too.
+        this.opusDecoder?.reset();
+        this.clearPlayback();
+    };
+
+    private onUtterance(utterance: Utterance): void {
+        this.callEvents.emit("transcript", utterance);
+        if (this.enableUpdate) this.callEvents.emit("update", { transcript: this.transcript.get() });
+    };
+
+    private startStats(): void {
+        const stats = this.options.stats === false ? null : this.options.stats || {};
+        if (!stats) return;
+        this.statsTimer = setInterval(() => {
+            if (this.callState === "connected") this.callEvents.emit("stats", this.getStats());
+        }, stats.interval || 5000);
+    };
+
+    protected setCodec(name: Codec): void {
+        this.opusEncoder?.close();
+        this.opusDecoder?.close();
+        this.opusEncoder = null;
+        this.opusDecoder = null;
+
+        this.codecName = name;
+        this.codec = createSampleCodec(name);
+        if (name === "opus") {
+            this.opusEncoder = new OpusEncoder(
+                this.wireRate,
+                this.frameDuration,
+                (packet, samples) => this.sendPacket(packet, samples),
+                this.onCodecError
+            );
+            this.opusDecoder = new OpusDecoder(this.wireRate, (samples) => this.playAudio(samples), this.onCodecError);
+        };
+    };
+
+    protected sendPacket(payload: Uint8Array, samples: number): void {
+        if (!this.liveClient) return;
+        this.liveClient.send(this.packetizer ? this.packetizer.wrap(payload, samples) : payload);
+    };
+
+    protected onCodecError = (error: Error): void => {
+        this.callEvents.emit("error", asBlandError(error, "CODEC_FAILED", "Opus codec error"));
+    };
+};
@@ -0,0 +1,252 @@
+import { CallClient, CallClientOptions, CallConfig } from "./CallClient";
+import { CallState } from "./callState";
+import { SampleCodec, createSampleCodec } from "./codecs";
+import { asBlandError } from "./errors";
+import { BlandHeadlessClientEvents } from "./events";
+import { FrameAccumulator, createFrameAccumulator } from "./packetizer";
+import { CallStats } from "./stats";
+
+// A call without Web Audio, for Node: caller audio comes from any async
+// iterable of PCM bytes (every Node Readable is one) and agent audio is handed
+// out as it arrives. Nothing here touches the DOM or imports Node modules, so
+// the same build serves both.
+//
+// There is no speaker to report on, so the client assumes its consumer plays
+// agent audio out in real time as it is delivered. Marks, the talking events
+// and the played_samples sent on interruption all follow that virtual clock.
+
+export interface HeadlessConversationConfig extends CallConfig {
+    // Caller audio: 16-bit little-endian mono PCM at sampleRate.
+    input?: AsyncIterable<Uint8Array>;
+    // Rate of the input, of the agent audio and on the wire. Defaults to 16000.
+    sampleRate?: number;
+    // Send input no faster than real time, like a microphone would. Turn it off
+    // for sources that are already paced, such as a live telephony leg.
+    realtime?: boolean;
+};
+
+export type HeadlessClientOptions = CallClientOptions;
+
+interface PendingMark {
+    name: string;
+    timer: ReturnType<typeof setTimeout>;
+};
+
+// How long the agent has to stay silent before its turn counts as over, in ms.
+const endOfUtterance = 300;
+
+function sleep(ms: number): Promise<void> {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+};
+
+export class BlandHeadlessClient extends CallClient<BlandHeadlessClientEvents, HeadlessConversationConfig, HeadlessClientOptions> {
+    protected readonly setupState: CallState = "connecting";
+    private pcm16: SampleCodec = createSampleCodec("pcm16");
+
+    // Wall-clock time (ms) at which the agent audio delivered so far finishes playing.
+    private playbackEnd: number = 0;
+    private deliveredSamples: number = 0;
+    private pendingMarks: PendingMark[] = [];
+    private stopTalkingTimer: ReturnType<typeof setTimeout> | null = null;
+
+    constructor(agentId: string, sessionToken: string | null, customEndpoint?: string, options: HeadlessClientOptions = {}) {
+        super(agentId, sessionToken, customEndpoint, options);
+    };
+
+    // There is no local playback to report on.
+    protected playbackStats(): Pick<CallStats, "playback" | "baseLatency" | "outputLatency"> {
+        return { playback: null, baseLatency: null, outputLatency: null };
+    };
+
+    // Nothing to open: input is only read once the call connects.
+    protected async prepareCall(config: HeadlessConversationConfig): Promise<void> {};
+
+    protected releaseCall(): void {
+        // Before the socket goes, so the server may still hear about them.
+        this.interruptMarks(this.playedSamples());
+        this.stopTalking();
+        this.deliveredSamples = 0;
+        this.playbackEnd = 0;
+    };
+
+    // Agent audio (16-bit little-endian mono PCM at the wire rate) from now
+    // until the conversation ends. In Node, Readable.from(client.agentAudio())
+    // turns it into a stream. Audio is buffered until it is read.
+    public agentAudio(): AsyncIterableIterator<Uint8Array> {
+        const chunks: Uint8Array[] = [];
+        let waiting: ((result: IteratorResult<Uint8Array>) => void) | null = null;
+        let done = false;
+
+        const onAudio = (audio: Uint8Array) => {
+            if (waiting) {
+                const resolve = waiting;
+                waiting = null;
+                resolve({ value: audio, done: false });
+            } else {
+                chunks.push(audio);
+            };
+        };
+        const finish = () => {
+            if (done) return;
+            done = true;
+            this.off("audio", onAudio);
+            this.off("conversationEnded", finish);
+            if (waiting) {
+                waiting({ value: undefined, done: true });
+                waiting = null;
+            };
+        };
+        this.on("audio", onAudio);
+        this.on("conversationEnded", finish);
+
+        return {
+            next: () => {
+                if (chunks.length > 0) return Promise.resolve({ value: chunks.shift(), done: false });
+                if (done) return Promise.resolve({ value: undefined, done: true });
+                return new Promise((resolve) => {
+                    waiting = resolve;
+                });
+            },
+            return: () => {
+                finish();
+                chunks.length = 0;
+                return Promise.resolve({ value: undefined, done: true });
+            },
+            [Symbol.asyncIterator]: function () {
+                return this;
+            }
+        };
+    };
+
+    // Input starts with the call; until then it would only fill the outbound buffer.
+    protected onConversationStarted(config: HeadlessConversationConfig): void {
+        if (config.input) this.pumpInput(config.input, config.realtime !== false);
+    };
+
+    private async pumpInput(input: AsyncIterable<Uint8Array>, realtime: boolean): Promise<void> {
+        const frames: FrameAccumulator = createFrameAccumulator(Math.round(this.wireRate * this.frameDuration / 1000));
+        const started = Date.now();
+        let carry: Uint8Array | null = null;
+        let samplesRead = 0;
+
+        try {
+            for await (const chunk of input) {
+                if (!this.isCalling) break;
+
+                let bytes = chunk;
+                if (carry) {
+                    bytes = new Uint8Array(carry.length + chunk.length);
+                    bytes.set(carry);
+                    bytes.set(chunk, carry.length);
+                    carry = null;
+                };
+                // A chunk may end halfway through a sample.
+                if (bytes.length % 2 === 1) {
+                    carry = bytes.slice(bytes.length - 1);
+                    bytes = bytes.subarray(0, bytes.length - 1);
+                };
+
+                const samples = this.pcm16.decode(bytes);
+                frames.push(samples, (frame) => this.sendFrame(frame));
+                samplesRead += samples.length;
+
+                if (realtime) {
+                    const ahead = samplesRead * 1000 / this.wireRate - (Date.now() - started);
+                    if (ahead > 0) await sleep(ahead);
+                };
+            };
+        } catch (error) {
+            if (this.isCalling) this.emit("error", asBlandError(error, "INPUT_FAILED", "Reading the input stream failed"));
+        };
+    };
+
+    private sendFrame(frame: Float32Array): void {
+        if (this.opusEncoder) {
+            this.opusEncoder.encode(frame);
+        } else {
+            this.sendPacket(this.codec.encode(frame), frame.length);
+        };
+    };
+
+    protected playAudio(audio: Uint8Array | Float32Array): void {
+        if (audio instanceof Float32Array) {
+            this.deliverAudio(this.pcm16.encode(audio));
+        } else if (this.codecName === "pcm16") {
+            this.deliverAudio(audio.slice());
+        } else {
+            this.deliverAudio(this.pcm16.encode(this.codec.decode(audio)));
+        };
+    };
+
+    private deliverAudio(pcm: Uint8Array): void {
+        if (!this.isCalling || pcm.length === 0) return;
+
+        const now = Date.now();
+        const samples = pcm.length >> 1;
+        this.playbackEnd = Math.max(now, this.playbackEnd) + samples * 1000 / this.wireRate;
+        this.deliveredSamples += samples;
+
+        if (!this.isTalking) {
+            this.isTalking = true;
+            this.emit("agentStartTalking");
+        };
+        if (this.stopTalkingTimer != null) clearTimeout(this.stopTalkingTimer);
+        this.stopTalkingTimer = setTimeout(() => this.stopTalking(), this.playbackEnd - now + endOfUtterance);
+
+        this.emit("audio", pcm);
+    };
+
+    private stopTalking(): void {
+        if (this.stopTalkingTimer != null) {
+            clearTimeout(this.stopTalkingTimer);
+            this.stopTalkingTimer = null;
+        };
+        if (!this.isTalking) return;
+        this.isTalking = false;
+        this.emit("agentStopTalking");
+    };
+
+    // Samples of delivered audio whose playout time has passed.
+    private playedSamples(): number {
+        const remaining = Math.max(0, this.playbackEnd - Date.now());
+        return Math.max(0, this.deliveredSamples - Math.round(remaining * this.wireRate / 1000));
+    };
+
+    protected queueMark(name: string): void {
+        const samples = this.deliveredSamples;
+        const mark: PendingMark = {
+            name,
+            timer: setTimeout(() => {
+                this.pendingMarks.splice(this.pendingMarks.indexOf(mark), 1);
+                this.sendMarkAck(name, "played", samples);
+            }, Math.max(0, this.playbackEnd - Date.now()))
+        };
+        this.pendingMarks.push(mark);
+    };
+
+    // Also emitted as "clear", unlike in the browser, because the consumer
+    // owns the playout buffer that has to be flushed.
+    protected clearPlayback(): void {
+        const playedSamples = this.playedSamples();
+        this.interruptMarks(playedSamples);
+        this.deliveredSamples = playedSamples;
+        this.playbackEnd = Date.now();
+        this.stopTalking();
+        this.emit("clear");
+    };
+
+    // Reports the marks that playback will now never reach.
+    private interruptMarks(playedSamples: number): void {
+        const interrupted = this.pendingMarks;
+        this.pendingMarks = [];
+        interrupted.forEach((mark) => {
+            clearTimeout(mark.timer);
+            this.sendMarkAck(mark.name, "interrupted", playedSamples);
+        });
+    };
+
+    private sendMarkAck(name: string, status: "played" | "interrupted", playedSamples: number): void {
+        this.liveClient?.sendMessage({ type: "mark", name, status, played_samples: playedSamples });
+        this.emit(status === "played" ? "markPlayed" : "markInterrupted", { name, playedSamples });
+    };
+};
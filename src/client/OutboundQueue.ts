@@ -0,0 +1,75 @@
+export type OverflowPolicy = "dropOldest" | "dropNewest";
+
+export interface OutboundBufferOptions {
+    // Upper bound on audio held while the socket is not open.
+    maxBytes?: number;
+    // "dropOldest" keeps the most recent speech, "dropNewest" keeps the start of it.
+    overflow?: OverflowPolicy;
+};
+
+const defaultOutboundBufferOptions: Required<OutboundBufferOptions> = {
+    // About 16 s of PCM16 at the default 16 kHz wire rate; longer with
+    // G.711 or Opus, shorter at higher wire rates.
+    maxBytes: 512 * 1024,
+    overflow: "dropOldest"
+};
+
+export class OutboundQueue {
+    private options: Required<OutboundBufferOptions>;
+    private frames: Uint8Array[] = [];
+    private bytes: number = 0;
+    public droppedFrames: number = 0;
+    public droppedBytes: number = 0;
+
+    constructor(options?: OutboundBufferOptions) {
+        this.options = { ...defaultOutboundBufferOptions, ...options };
+    };
+
+    get length(): number {
+        return this.frames.length;
+    };
+
+    // Returns false when a frame had to be dropped to stay within maxBytes.
+    push(frame: Uint8Array): boolean {
+        if (frame.byteLength > this.options.maxBytes) {
+            this.drop(frame);
+            return false;
+        };
+
+        let overflowed = false;
+        if (this.options.overflow === "dropNewest") {
+            if (this.bytes + frame.byteLength > this.options.maxBytes) {
+                this.drop(frame);
+                return false;
+            };
+        } else {
+            while (this.bytes + frame.byteLength > this.options.maxBytes) {
+                const oldest = this.frames.shift() as Uint8Array;
+                this.bytes -= oldest.byteLength;
+                this.drop(oldest);
+                overflowed = true;
+            };
+        };
+
+        this.frames.push(frame);
+        this.bytes += frame.byteLength;
+        return !overflowed;
+    };
+
+    // Hands every queued frame to send in the order it was captured.
+    flush(send: (frame: Uint8Array) => void): void {
+        const frames = this.frames;
+        this.clear();
+        frames.forEach(send);
+    };
+
+    clear(): void {
+        this.frames = [];
+        this.bytes = 0;
+    };
+
+    private drop(frame: Uint8Array): void {
+        this.droppedFrames++;
+        this.droppedBytes += frame.byteLength;
+    };
+};
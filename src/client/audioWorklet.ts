@@ -1,42 +1,170 @@
+import { createSampleCodec } from "./codecs";
+import { createLevelMeter } from "./levels";
+import { createFrameAccumulator } from "./packetizer";
+import { createPlaybackQueue } from "./playbackQueue";
+import { createResampler } from "./resampler";
+import { createSpeechGate, createVoiceActivityDetector } from "./vad";
+
 export const workletCode = `
+${createPlaybackQueue.toString()}
+
+${createSampleCodec.toString()}
+
+${createFrameAccumulator.toString()}
+
+${createResampler.toString()}
+
+${createVoiceActivityDetector.toString()}
+
+${createSpeechGate.toString()}
+
+${createLevelMeter.toString()}
+
 class captureAndPlaybackProcessor extends AudioWorkletProcessor {
-    audioData = [];
-    index = 0;
+    playback = createPlaybackQueue(sampleRate);
+    codecName = "pcm16";
+    codec = createSampleCodec("pcm16");
+    captureFrames = createFrameAccumulator(128);
+    playbackFrames = createFrameAccumulator(128);
+    wireRate = sampleRate;
+    captureResampler = createResampler(sampleRate, sampleRate);
+    playbackResampler = createResampler(sampleRate, sampleRate);
     isTalking = false;
+    // null while live, else how a muted microphone is handled: "silence" or "stop".
+    mute = null;
+    frameDuration = 20;
+    // Set when VAD runs here; with a VAD model it runs on the main thread,
+    // which then needs capture frames as samples ("rawCapture").
+    vad = null;
+    gate = null;
+    isUserTalking = false;
+    rawCapture = false;
+    meter = null;
+    // Both legs in 100 ms blocks while recording; the output accumulator
+    // completes a block on the same call as the input one.
+    recording = false;
+    recordInput = createFrameAccumulator(Math.round(sampleRate / 10));
+    recordOutput = createFrameAccumulator(Math.round(sampleRate / 10));
+    recordedInput = null;
+    // Playback stats go to the main thread once a second, for getStats().
+    statsSamples = 0;
   
     constructor() {
       super();
+
+      this.onMarkPlayed = (name, playedSamples) => {
+        this.port.postMessage(["mark_played", name, playedSamples]);
+      };
+      this.onMarkInterrupted = (name, playedSamples) => {
+        this.port.postMessage(["mark_interrupted", name, playedSamples]);
+      };
+      this.sendCaptureFrame = (frame) => {
+        if (this.rawCapture) {
+          this.port.postMessage(["capture_raw", frame, this.codecName]);
+          return;
+        }
+        const captured = this.codec ? this.codec.encode(frame) : frame;
+        this.port.postMessage(["capture", captured, this.codecName, frame.length]);
+      };
+      this.onCaptureFrame = (frame) => {
+        if (!this.vad) {
+          this.sendCaptureFrame(frame);
+          return;
+        }
+        this.setUserTalking(this.vad.process(frame));
+        if (this.gate) {
+          this.gate.push(frame, this.isUserTalking, this.sendCaptureFrame);
+        } else {
+          this.sendCaptureFrame(frame);
+        }
+      };
+      this.onLevels = (levels) => {
+        this.port.postMessage(["levels", levels]);
+      };
+      this.onRecordInput = (frame) => {
+        this.recordedInput = frame;
+      };
+      this.onRecordOutput = (frame) => {
+        this.port.postMessage(["recording", this.recordedInput, frame]);
+      };
+      this.onPlaybackFrame = (frame) => {
+        this.port.postMessage(["playback", this.convertFloat32ToUint8(frame)]);
+      };
             
       this.port.onmessage = (e) => {
-        console.log({ e })
         if (e.data === "clear") {
-          this.audioData = [];
-          this.index = 0;
-          if (this.isTalking) {
-            this.isTalking = false;
-            this.port.postMessage("agent_stop_talking");
+          this.playback.clear(this.onMarkInterrupted);
+          this.playbackResampler.reset();
+          this.updateTalking();
+        } else if (Array.isArray(e.data)) {
+          if (e.data[0] === "mark") {
+            this.playback.pushMark(e.data[1]);
+          } else if (e.data[0] === "codec") {
+            // Opus has no sample codec: capture goes out as floats for the main
+            // thread to encode, and playback arrives already decoded.
+            this.codecName = e.data[1];
+            this.codec = createSampleCodec(e.data[1]);
+            this.captureFrames.reset();
+          } else if (e.data[0] === "wireRate") {
+            // The context runs at the device rate; the socket at the negotiated one.
+            this.wireRate = e.data[1];
+            this.captureResampler = createResampler(sampleRate, e.data[1]);
+            this.playbackResampler = createResampler(e.data[1], sampleRate);
+          } else if (e.data[0] === "jitterBuffer") {
+            this.playback = createPlaybackQueue(sampleRate, e.data[1]);
+          } else if (e.data[0] === "mute") {
+            this.mute = e.data[1];
+            this.captureResampler.reset();
+            this.captureFrames.reset();
+            if (this.vad) this.vad.reset();
+            if (this.gate) this.gate.reset();
+            this.setUserTalking(false);
+          } else if (e.data[0] === "vad") {
+            const settings = e.data[1];
+            this.vad = settings ? createVoiceActivityDetector(this.wireRate, settings) : null;
+            this.gate = settings && settings.gate
+              ? createSpeechGate(Math.ceil((settings.minSpeech === undefined ? 60 : settings.minSpeech) / this.frameDuration) + 1)
+              : null;
+          } else if (e.data[0] === "record") {
+            if (this.recording && !e.data[1]) {
+              // The last, partial block, then word that nothing more is coming.
+              this.recordInput.flush(this.onRecordInput);
+              this.recordOutput.flush(this.onRecordOutput);
+              this.port.postMessage(["record_stopped"]);
+            }
+            this.recording = e.data[1];
+            this.recordInput.reset();
+            this.recordOutput.reset();
+          } else if (e.data[0] === "levels") {
+            this.meter = e.data[1] ? createLevelMeter(sampleRate, e.data[1]) : null;
+          } else if (e.data[0] === "rawCapture") {
+            this.rawCapture = e.data[1];
+          } else if (e.data[0] === "frame") {
+            // Frame duration in ms: audio crosses the port once per frame, not once per 128-sample quantum.
+            this.frameDuration = e.data[1];
+            this.captureFrames = createFrameAccumulator(Math.round(this.wireRate * e.data[1] / 1000));
+            this.playbackFrames = createFrameAccumulator(Math.round(sampleRate * e.data[1] / 1000));
           }
         } else if (e.data.length > 0) {
-          this.audioData.push(this.convertUint8ToFloat32(e.data));
-          if (!this.isTalking) {
-            this.isTalking = true;
-            this.port.postMessage("agent_start_talking");
-          }
+          const samples = e.data instanceof Float32Array ? e.data : this.codec.decode(e.data);
+          this.playback.push(this.playbackResampler.process(samples), currentTime);
+          this.updateTalking();
         }
       };
     }
+
+    // Follows the jitter buffer, which rides out underruns instead of
+    // ending the agent's turn on every gap.
+    updateTalking() {
+      if (this.playback.isTalking() === this.isTalking) return;
+      this.isTalking = this.playback.isTalking();
+      this.port.postMessage(this.isTalking ? "agent_start_talking" : "agent_stop_talking");
+    }
   
-    convertUint8ToFloat32(array) {
-      const targetArray = new Float32Array(array.byteLength / 2);
-    
-      // A DataView is used to read our 16-bit little-endian samples out of the Uint8Array buffer
-      const sourceDataView = new DataView(array.buffer);
-    
-      // Loop through, get values, and divide by 32,768
-      for (let i = 0; i < targetArray.length; i++) {
-        targetArray[i] = sourceDataView.getInt16(i * 2, true) / Math.pow(2, 16 - 1);
-      }
-      return targetArray;
+    setUserTalking(talking) {
+      if (talking === this.isUserTalking) return;
+      this.isUserTalking = talking;
+      this.port.postMessage(talking ? "user_start_talking" : "user_stop_talking");
     }
   
     convertFloat32ToUint8(array) {
@@ -52,36 +180,41 @@ class captureAndPlaybackProcessor extends AudioWorkletProcessor {
     }
   
     process(inputs, outputs, parameters) {
-      // Capture
       const input = inputs[0];
       const inputChannel1 = input[0];
-      const inputChannel2 = input[1];
-      this.port.postMessage(["capture", this.convertFloat32ToUint8(inputChannel1)]);
-  
-      // Playback
       const output = outputs[0];
       const outputChannel1 = output[0];
       const outputChannel2 = output[1];
-      // start playback.
-      for (let i = 0; i < outputChannel1.length; ++i) {
-        if (this.audioData.length > 0) {
-          outputChannel1[i] = this.audioData[0][this.index];
-          outputChannel2[i] = this.audioData[0][this.index];
-          this.index++;
-          if (this.index == this.audioData[0].length) {
-            this.audioData.shift();
-            this.index = 0;
-          }
-        } else {
-          outputChannel1[i] = 0;
-          outputChannel2[i] = 0;
-        }
+
+      // Capture. An input without channels (no microphone connected, e.g.
+      // while switching devices) goes out as silence, like a muted one.
+      if (this.mute !== "stop") {
+        const captured = this.mute || !inputChannel1 ? new Float32Array(outputChannel1.length) : inputChannel1;
+        this.captureFrames.push(this.captureResampler.process(captured), this.onCaptureFrame);
+      }
+  
+      // Playback
+      this.playback.read(outputChannel1, currentTime, this.onMarkPlayed);
+      if (outputChannel2) {
+        outputChannel2.set(outputChannel1);
+      }
+
+      this.playbackFrames.push(outputChannel1, this.onPlaybackFrame);
+      if (this.meter) {
+        this.meter.measure(inputChannel1, outputChannel1, this.onLevels);
+      }
+      if (this.recording) {
+        // The microphone as the agent heard it.
+        const sent = this.mute || !inputChannel1 ? new Float32Array(outputChannel1.length) : inputChannel1;
+        this.recordInput.push(sent, this.onRecordInput);
+        this.recordOutput.push(outputChannel1, this.onRecordOutput);
       }
+      this.updateTalking();
 
-      this.port.postMessage(["playback", this.convertFloat32ToUint8(outputChannel1)]);
-      if (!this.audioData.length && this.isTalking) {
-        this.isTalking = false;
-        this.port.postMessage("agent_stop_talking");
+      this.statsSamples += outputChannel1.length;
+      if (this.statsSamples >= sampleRate) {
+        this.statsSamples = 0;
+        this.port.postMessage(["playback_stats", this.playback.stats()]);
       }
   
       return true;
@@ -0,0 +1,38 @@
+// Lifecycle of one call:
+//
+//   idle -> requestingMedia -> connecting -> connected <-> reconnecting
+//                                                 \
+//           any live state -> ending -> ended      +-> ended / failed
+//
+// requestingMedia is skipped by clients without a microphone. ended means
+// the call finished normally or was stopped by the user; failed means setup,
+// the connection or the server gave up on it. Either allows a new call.
+export type CallState =
+    | "idle"
+    | "requestingMedia"
+    | "connecting"
+    | "connected"
+    | "reconnecting"
+    | "ending"
+    | "ended"
+    | "failed";
+
+const transitions: { [state in CallState]: CallState[] } = {
+    idle: ["requestingMedia", "connecting"],
+    requestingMedia: ["connecting", "ending", "failed"],
+    connecting: ["connected", "ending", "ended", "failed"],
+    connected: ["reconnecting", "ending", "ended", "failed"],
+    reconnecting: ["connected", "ending", "ended", "failed"],
+    ending: ["ended", "failed"],
+    ended: ["requestingMedia", "connecting"],
+    failed: ["requestingMedia", "connecting"]
+};
+
+export function canTransition(from: CallState, to: CallState): boolean {
+    return transitions[from].indexOf(to) !== -1;
+};
+
+// Whether a call is set up or under way, so another may not start.
+export function isCallActive(state: CallState): boolean {
+    return state !== "idle" && state !== "ended" && state !== "failed";
+};
@@ -0,0 +1,146 @@
+import { BlandError } from "./errors";
+import { isOpusSupported } from "./opus";
+
+// Wire formats for call audio. "pcm16" is raw little-endian 16-bit PCM and is
+// what every server accepts; "pcmu"/"pcma" are G.711 μ-law/A-law at one byte
+// per sample; "opus" goes through WebCodecs (see opus.ts) because it cannot
+// run inside an AudioWorklet.
+export type Codec = "pcm16" | "pcmu" | "pcma" | "opus";
+
+export const codecs: Codec[] = ["pcm16", "pcmu", "pcma", "opus"];
+
+// The codecs to offer the server, most preferred first. Opus is dropped where
+// WebCodecs cannot run it at this rate.
+export async function resolveCodecs(preference: Codec | Codec[] | undefined, sampleRate: number): Promise<Codec[]> {
+    const preferred = preference === undefined ? [] : Array.isArray(preference) ? preference : [preference];
+    preferred.forEach((codec) => {
+        if (codecs.indexOf(codec) === -1) throw new BlandError("INVALID_CONFIG", `Unsupported codec "${codec}"`);
+    });
+
+    const opusSupported = preferred.indexOf("opus") !== -1 && await isOpusSupported(sampleRate);
+    const offered = preferred.filter((codec) => codec !== "opus" || opusSupported);
+    // Every server speaks pcm16, so negotiation can always fall back to it.
+    if (offered.indexOf("pcm16") === -1) offered.push("pcm16");
+    return offered;
+};
+
+export interface SampleCodec {
+    name: Codec;
+    encode(samples: Float32Array): Uint8Array;
+    decode(data: Uint8Array): Float32Array;
+};
+
+// Returns null for codecs that are not sample-by-sample ("opus"). Like
+// createPlaybackQueue this is inlined into the AudioWorklet with toString(),
+// so it must stay self-contained.
+export function createSampleCodec(name: Codec): SampleCodec | null {
+    function clamp16(sample: number): number {
+        const value = Math.round(sample * 32768);
+        return value > 32767 ? 32767 : value < -32768 ? -32768 : value;
+    };
+
+    // G.711 reference implementation (Sun Microsystems, public domain), on 16-bit input.
+    function linearToMulaw(pcm: number): number {
+        let mask = 0xFF;
+        let value = pcm >> 2;
+        if (value < 0) {
+            value = -value;
+            mask = 0x7F;
+        };
+        if (value > 8159) value = 8159;
+        value += 0x84 >> 2;
+
+        let segment = 0;
+        while (segment < 8 && value > (0x40 << segment) - 1) segment++;
+        if (segment >= 8) return 0x7F ^ mask;
+        return ((segment << 4) | ((value >> (segment + 1)) & 0x0F)) ^ mask;
+    };
+
+    function mulawToLinear(code: number): number {
+        const value = ~code & 0xFF;
+        let t = ((value & 0x0F) << 3) + 0x84;
+        t <<= (value & 0x70) >> 4;
+        return value & 0x80 ? 0x84 - t : t - 0x84;
+    };
+
+    function linearToAlaw(pcm: number): number {
+        let mask = 0xD5;
+        let value = pcm >> 3;
+        if (value < 0) {
+            mask = 0x55;
+            value = -value - 1;
+        };
+
+        let segment = 0;
+        while (segment < 8 && value > (0x20 << segment) - 1) segment++;
+        if (segment >= 8) return 0x7F ^ mask;
+        const quantized = segment < 2 ? (value >> 1) & 0x0F : (value >> segment) & 0x0F;
+        return ((segment << 4) | quantized) ^ mask;
+    };
+
+    function alawToLinear(code: number): number {
+        const value = code ^ 0x55;
+        let t = (value & 0x0F) << 4;
+        const segment = (value & 0x70) >> 4;
+        if (segment === 0) {
+            t += 8;
+        } else {
+            t += 0x108;
+            if (segment > 1) t <<= segment - 1;
+        };
+        return value & 0x80 ? t : -t;
+    };
+
+    function companding(codecName: Codec, toCode: (pcm: number) => number, toLinear: (code: number) => number): SampleCodec {
+        const table = new Float32Array(256);
+        for (let i = 0; i < 256; i++) {
+            table[i] = toLinear(i) / 32768;
+        };
+
+        return {
+            name: codecName,
+            encode: function (samples: Float32Array) {
+                const data = new Uint8Array(samples.length);
+                for (let i = 0; i < samples.length; i++) {
+                    data[i] = toCode(clamp16(samples[i]));
+                };
+                return data;
+            },
+            decode: function (data: Uint8Array) {
+                const samples = new Float32Array(data.length);
+                for (let i = 0; i < data.length; i++) {
+                    samples[i] = table[data[i]];
+                };
+                return samples;
+            }
+        };
+    };
+
+    switch (name) {
+        case "pcm16":
+            return {
+                name: name,
+                encode: function (samples: Float32Array) {
+                    const view = new DataView(new ArrayBuffer(samples.length * 2));
+                    for (let i = 0; i < samples.length; i++) {
+                        view.setInt16(i * 2, clamp16(samples[i]), true);
+                    };
+                    return new Uint8Array(view.buffer);
+                },
+                decode: function (data: Uint8Array) {
+                    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+                    const samples = new Float32Array(data.byteLength >> 1);
+                    for (let i = 0; i < samples.length; i++) {
+                        samples[i] = view.getInt16(i * 2, true) / 32768;
+                    };
+                    return samples;
+                }
+            };
+        case "pcmu":
+            return companding(name, linearToMulaw, mulawToLinear);
+        case "pcma":
+            return companding(name, linearToAlaw, alawToLinear);
+        default:
+            return null;
+    };
+};
@@ -0,0 +1,77 @@
+import { BlandError } from "./errors";
+import { PROTOCOL_VERSION } from "./protocol";
+
+export const baseEndpoint = "wss://web.bland.ai";
+
+// Query parameters the client sets itself; a custom endpoint may not override them.
+const reservedParams = ["agent", "token", "call_id", "resume", "protocol", "request_data", "codec", "framing", "ptime", "sample_rate"];
+
+export type RequestData = { [key: string]: unknown };
+
+export interface EndpointParams {
+    agentId?: string | null;
+    sessionToken?: string | null;
+    callId?: string | null;
+    resume?: boolean;
+    codec?: string;
+    sampleRate?: number;
+    framing?: string;
+    frameDuration?: number;
+    requestData?: RequestData;
+};
+
+export function parseEndpoint(endpoint: string): URL {
+    let url: URL;
+    try {
+        url = new URL(endpoint);
+    } catch (error) {
+        throw new BlandError("INVALID_CONFIG", `Invalid endpoint "${endpoint}": not an absolute URL`, { cause: error });
+    };
+
+    if (url.protocol !== "ws:" && url.protocol !== "wss:") {
+        throw new BlandError("INVALID_CONFIG", `Invalid endpoint "${endpoint}": protocol must be ws: or wss:, got ${url.protocol}`);
+    };
+    if (url.hash) {
+        throw new BlandError("INVALID_CONFIG", `Invalid endpoint "${endpoint}": fragments are not sent to the server`);
+    };
+    reservedParams.forEach((name) => {
+        if (url.searchParams.has(name)) {
+            throw new BlandError("INVALID_CONFIG", `Invalid endpoint "${endpoint}": the "${name}" parameter is set by the client`);
+        };
+    });
+
+    return url;
+};
+
+export function validateRequestData(requestData: RequestData): void {
+    if (requestData === null || typeof requestData !== "object" || Array.isArray(requestData)) {
+        throw new BlandError("INVALID_CONFIG", "Invalid requestData: expected a plain object");
+    };
+    try {
+        JSON.stringify(requestData);
+    } catch (error) {
+        throw new BlandError("INVALID_CONFIG", `Invalid requestData: ${(error as Error).message}`, { cause: error });
+    };
+};
+
+export function buildEndpoint(endpoint: string | undefined, params: EndpointParams): string {
+    const url = parseEndpoint(endpoint || baseEndpoint);
+    const query = url.searchParams;
+
+    if (params.agentId) query.set("agent", params.agentId);
+    if (params.sessionToken) query.set("token", params.sessionToken);
+    if (params.callId) query.set("call_id", params.callId);
+    if (params.resume) query.set("resume", "true");
+    if (params.codec) query.set("codec", params.codec);
+    if (params.sampleRate) query.set("sample_rate", String(params.sampleRate));
+    if (params.framing === "packet") {
+        query.set("framing", params.framing);
+        query.set("ptime", String(params.frameDuration));
+    };
+    if (params.requestData && Object.keys(params.requestData).length > 0) {
+        query.set("request_data", JSON.stringify(params.requestData));
+    };
+    query.set("protocol", String(PROTOCOL_VERSION));
+
+    return url.toString();
+};
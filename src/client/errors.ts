@@ -0,0 +1,169 @@
+import { CloseCodes } from "./protocol";
+
+// Every error the clients throw, reject with or emit is a BlandError, so
+// callers can branch on a stable code instead of parsing messages. The
+// browser or socket error behind it, if any, is kept as cause.
+
+export type ErrorCode =
+    // Microphone
+    | "MIC_PERMISSION_DENIED"
+    | "MIC_NOT_FOUND"
+    | "MIC_IN_USE"
+    | "MIC_CONSTRAINT_UNSUPPORTED"
+    | "MIC_FAILED"
+    // Audio engine and output
+    | "AUDIO_UNSUPPORTED"
+    | "AUDIO_FAILED"
+    | "WORKLET_UNSUPPORTED"
+    | "WORKLET_LOAD_FAILED"
+    | "OUTPUT_DEVICE_UNSUPPORTED"
+    | "OUTPUT_DEVICE_FAILED"
+    | "CODEC_FAILED"
+    // Headless input stream
+    | "INPUT_FAILED"
+    // Caller mistakes
+    | "INVALID_CONFIG"
+    | "INVALID_STATE"
+    | "CALL_STOPPED"
+    // Connection and server
+    | "AUTH_FAILED"
+    | "FORBIDDEN"
+    | "CALL_NOT_FOUND"
+    | "UNSUPPORTED_CODEC"
+    | "CONNECTION_FAILED"
+    | "CONNECTION_TIMEOUT"
+    | "SERVER_CLOSED"
+    // Control messages (sendText, sendDtmf, updateContext)
+    | "CONTROL_REJECTED"
+    | "CONTROL_TIMEOUT";
+
+// Whether the same call can succeed if simply tried again later, without
+// the user granting access, the app changing its config or a new token.
+const recoverableCodes: { [code in ErrorCode]: boolean } = {
+    MIC_PERMISSION_DENIED: false,
+    MIC_NOT_FOUND: false,
+    MIC_IN_USE: true,
+    MIC_CONSTRAINT_UNSUPPORTED: false,
+    MIC_FAILED: true,
+    AUDIO_UNSUPPORTED: false,
+    AUDIO_FAILED: true,
+    WORKLET_UNSUPPORTED: false,
+    WORKLET_LOAD_FAILED: false,
+    OUTPUT_DEVICE_UNSUPPORTED: false,
+    OUTPUT_DEVICE_FAILED: true,
+    CODEC_FAILED: false,
+    INPUT_FAILED: false,
+    INVALID_CONFIG: false,
+    INVALID_STATE: false,
+    CALL_STOPPED: false,
+    AUTH_FAILED: false,
+    FORBIDDEN: false,
+    CALL_NOT_FOUND: false,
+    UNSUPPORTED_CODEC: false,
+    CONNECTION_FAILED: true,
+    CONNECTION_TIMEOUT: true,
+    SERVER_CLOSED: true,
+    CONTROL_REJECTED: false,
+    CONTROL_TIMEOUT: true
+};
+
+export interface BlandErrorOptions {
+    cause?: unknown;
+    // Overrides the code's default.
+    recoverable?: boolean;
+    // The close frame that ended the call, for connection and server errors.
+    closeCode?: number;
+    closeReason?: string;
+};
+
+export class BlandError extends Error {
+    readonly code: ErrorCode;
+    readonly recoverable: boolean;
+    readonly cause?: unknown;
+    readonly closeCode?: number;
+    readonly closeReason?: string;
+
+    constructor(code: ErrorCode, message: string, options: BlandErrorOptions = {}) {
+        super(message);
+        // Compiled to ES5, a subclass of Error would otherwise fail instanceof.
+        Object.setPrototypeOf(this, BlandError.prototype);
+        this.name = "BlandError";
+        this.code = code;
+        this.recoverable = options.recoverable !== undefined ? options.recoverable : recoverableCodes[code];
+        if (options.cause !== undefined) this.cause = options.cause;
+        if (options.closeCode !== undefined) this.closeCode = options.closeCode;
+        if (options.closeReason !== undefined) this.closeReason = options.closeReason;
+    };
+};
+
+// Wraps anything that is not a BlandError already, keeping it as cause.
+export function asBlandError(error: unknown, code: ErrorCode, message: string): BlandError {
+    if (error instanceof BlandError) return error;
+    const detail = error instanceof Error ? error.message : String(error);
+    return new BlandError(code, `${message}: ${detail}`, { cause: error });
+};
+
+// Reason AudioWsClient closes with when the server stops answering pings.
+export const HEARTBEAT_TIMEOUT_REASON = "Heartbeat timeout";
+// Reason AudioWsClient closes with when the server never confirms a socket.
+export const CONNECT_TIMEOUT_REASON = "Connect timeout";
+
+const closeCodeErrors: { [closeCode: number]: [ErrorCode, string] } = {
+    [CloseCodes.AuthFailed]: ["AUTH_FAILED", "The server rejected the session token"],
+    [CloseCodes.Forbidden]: ["FORBIDDEN", "Not allowed to join this call"],
+    [CloseCodes.CallNotFound]: ["CALL_NOT_FOUND", "The call does not exist or has already ended"],
+    [CloseCodes.UnsupportedCodec]: ["UNSUPPORTED_CODEC", "The server accepts none of the offered codecs"]
+};
+
+// The error for a socket that closed for good without the client asking.
+export function closeError(closeCode: number, closeReason: string, cause?: unknown): BlandError {
+    let code: ErrorCode = "SERVER_CLOSED";
+    let message = "The server closed the connection";
+    if (closeCodeErrors[closeCode]) {
+        [code, message] = closeCodeErrors[closeCode];
+    } else if (closeReason === HEARTBEAT_TIMEOUT_REASON) {
+        code = "CONNECTION_TIMEOUT";
+        message = "The server stopped answering heartbeats";
+    } else if (closeReason === CONNECT_TIMEOUT_REASON) {
+        code = "CONNECTION_TIMEOUT";
+        message = "The server did not confirm the call in time";
+    } else if (closeCode === 1006 || closeCode === 1015) {
+        // No close frame (network loss, refused connection) or a TLS failure.
+        code = "CONNECTION_FAILED";
+        message = "Could not reach the server";
+    };
+
+    return new BlandError(code, `${message} (${closeCode}${closeReason ? `: ${closeReason}` : ""})`, {
+        cause,
+        // Other application codes are as final as the ones above; 1001
+        // (going away), 1011 (server error), 1012 (restart) and 1013 (try
+        // again later) are worth another attempt.
+        recoverable: closeCode >= 4000 && closeCode <= 4999 ? false : undefined,
+        closeCode,
+        closeReason
+    });
+};
+
+// getUserMedia rejects with a DOMException whose name says what went wrong.
+export function microphoneError(error: unknown): BlandError {
+    const name = error && (error as Error).name;
+    switch (name) {
+        case "NotAllowedError":
+        case "SecurityError":
+            // Message kept from before error codes, for callers that match on it.
+            return new BlandError("MIC_PERMISSION_DENIED", "User rejected microphone access", { cause: error });
+        case "NotFoundError":
+            return new BlandError("MIC_NOT_FOUND", "No microphone was found", { cause: error });
+        case "NotReadableError":
+        case "AbortError":
+            return new BlandError("MIC_IN_USE", "The microphone is in use by another application or could not be started", { cause: error });
+        case "OverconstrainedError":
+            // A deviceId that no longer exists fails as a constraint.
+            if ((error as { constraint?: string }).constraint === "deviceId") {
+                return new BlandError("MIC_NOT_FOUND", "The selected microphone is not available", { cause: error });
+            };
+            return new BlandError("MIC_CONSTRAINT_UNSUPPORTED", "The microphone does not support the requested settings", { cause: error });
+        default:
+            return new BlandError("MIC_FAILED", `Could not open microphone: ${error && (error as Error).message}`, { cause: error });
+    };
+};
@@ -0,0 +1,98 @@
+import { EventEmitter } from "eventemitter3";
+import { CallState } from "./callState";
+import { Codec } from "./codecs";
+import { BlandError } from "./errors";
+import { AudioLevels } from "./levels";
+import { AgentStateMessage, CallEndedMessage, CallMetadataMessage, ControlType, ServerErrorMessage } from "./protocol";
+import { CallStats } from "./stats";
+import { Utterance } from "./transcript";
+
+// Listener signatures for every event the call clients emit, used as the
+// type parameter of their EventEmitter so on() and emit() are checked.
+
+export interface CloseInfo {
+    code: number;
+    reason: string;
+};
+
+export interface MarkEvent {
+    name: string;
+    // Agent audio played so far, at the wire sample rate.
+    playedSamples: number;
+};
+
+// Connection and server events, re-emitted by forwardConnectionEvents.
+export interface ConnectionEvents {
+    // Every socket drop, whether or not it is resumed.
+    disconnect: (info: CloseInfo) => void;
+    authError: (info: { code: number, reason: string, error: BlandError }) => void;
+    bufferOverflow: (info: { droppedFrames: number }) => void;
+    connectionDegraded: () => void;
+    connectionRestored: () => void;
+    reconnecting: (info: { attempt: number, delay: number }) => void;
+    reconnect: (info: { attempts: number }) => void;
+    reconnectFailed: (info: CloseInfo) => void;
+    error: (error: BlandError) => void;
+    agentState: (message: AgentStateMessage) => void;
+    callMetadata: (message: CallMetadataMessage) => void;
+    serverError: (message: ServerErrorMessage) => void;
+    callEnded: (message: CallEndedMessage) => void;
+    // Answers to sendText, sendDtmf and updateContext, by the id each returned.
+    controlAck: (info: { id: string, type: ControlType }) => void;
+    controlError: (info: { id: string, type: ControlType, error: BlandError }) => void;
+};
+
+// What both clients add on top: the call itself, agent audio and transcripts.
+export interface CallEvents extends ConnectionEvents {
+    stateChange: (change: { state: CallState, previous: CallState }) => void;
+    conversationStarted: () => void;
+    conversationEnded: (info: CloseInfo) => void;
+    codecChange: (info: { codec: Codec }) => void;
+    agentStartTalking: () => void;
+    agentStopTalking: () => void;
+    markPlayed: (mark: MarkEvent) => void;
+    markInterrupted: (mark: MarkEvent) => void;
+    transcript: (utterance: Utterance) => void;
+    // Only with enableUpdate.
+    update: (update: { transcript: Utterance[] }) => void;
+    // Every stats interval while the call is connected.
+    stats: (stats: CallStats) => void;
+    // Deprecated: use "error", which gets an Error instead of its message.
+    Error: (message: string) => void;
+};
+
+export interface BlandWebClientEvents extends CallEvents {
+    // PCM16 of what is being played, at the audio context's rate.
+    audio: (audio: Uint8Array) => void;
+    userStartTalking: () => void;
+    userStopTalking: () => void;
+    muteChange: (info: { muted: boolean }) => void;
+    holdChange: (info: { held: boolean }) => void;
+    inputDeviceChange: (info: { deviceId: string | null }) => void;
+    inputDeviceLost: (info: { deviceId: string | null }) => void;
+    levels: (levels: AudioLevels) => void;
+};
+
+export interface BlandHeadlessClientEvents extends CallEvents {
+    // PCM16 agent audio at the wire rate, as it arrives.
+    audio: (audio: Uint8Array) => void;
+    // The server cut the agent off: drop whatever agent audio is still buffered.
+    clear: () => void;
+};
+
+// Any client whose events include Events; eventNames() and friends would
+// rule out the subclasses' wider maps.
+export type EmitterOf<Events extends object> = Pick<EventEmitter<Events>, "emit" | "listenerCount">;
+
+let warnedErrorEvent = false;
+
+// Emits "error", plus the deprecated "Error" for listeners that still use it.
+export function emitError(target: EmitterOf<CallEvents>, error: BlandError): void {
+    target.emit("error", error);
+    if (target.listenerCount("Error") === 0) return;
+    if (!warnedErrorEvent) {
+        warnedErrorEvent = true;
+        console.warn("The \"Error\" event is deprecated; listen for \"error\" instead.");
+    };
+    target.emit("Error", error.message);
+};
@@ -0,0 +1,89 @@
+// Microphone and agent output levels for visualizers. The engine measures
+// every sample it handles and reports once per interval, so consumers never
+// see raw audio. Levels are linear, 0 (silence) to 1 (full scale).
+//
+// createLevelMeter is inlined into the AudioWorklet with toString(), so it
+// must stay self-contained.
+
+export interface LevelOptions {
+    // Time between levels events, in ms. The ScriptProcessor engine cannot
+    // report more often than once per 2048-sample buffer.
+    interval?: number;
+    // Number of frequency bands to report for each side, log-spaced between
+    // 80 Hz and 8 kHz. 0 (the default) reports none.
+    bands?: number;
+};
+
+export interface AudioLevel {
+    rms: number;
+    peak: number;
+};
+
+export interface AudioLevels {
+    input: AudioLevel;
+    output: AudioLevel;
+    // Only with LevelOptions.bands; each band is 0..1.
+    bands?: { input: number[], output: number[] };
+};
+
+export interface LevelMeter {
+    // input is missing while no microphone is connected. Calls onLevels with
+    // [input rms, input peak, output rms, output peak] once per interval.
+    measure(input: Float32Array | undefined, output: Float32Array, onLevels: (levels: number[]) => void): void;
+};
+
+export function createLevelMeter(sampleRate: number, interval: number): LevelMeter {
+    const windowSamples = Math.max(1, Math.round(sampleRate * interval / 1000));
+    let count = 0;
+    let inputSum = 0;
+    let inputPeak = 0;
+    let outputSum = 0;
+    let outputPeak = 0;
+
+    return {
+        measure: function (input: Float32Array | undefined, output: Float32Array, onLevels: (levels: number[]) => void) {
+            for (let i = 0; i < output.length; i++) {
+                const sample = output[i];
+                outputSum += sample * sample;
+                if (Math.abs(sample) > outputPeak) outputPeak = Math.abs(sample);
+            };
+            if (input) {
+                for (let i = 0; i < input.length; i++) {
+                    const sample = input[i];
+                    inputSum += sample * sample;
+                    if (Math.abs(sample) > inputPeak) inputPeak = Math.abs(sample);
+                };
+            };
+
+            count += output.length;
+            if (count < windowSamples) return;
+            onLevels([Math.sqrt(inputSum / count), inputPeak, Math.sqrt(outputSum / count), outputPeak]);
+            count = 0;
+            inputSum = 0;
+            inputPeak = 0;
+            outputSum = 0;
+            outputPeak = 0;
+        }
+    };
+};
+
+// Averages an AnalyserNode's byte spectrum into count log-spaced bands.
+export function frequencyBands(analyser: AnalyserNode, count: number): number[] {
+    const data = new Uint8Array(analyser.frequencyBinCount);
+    analyser.getByteFrequencyData(data);
+    const binWidth = analyser.context.sampleRate / analyser.fftSize;
+    const low = 80;
+    const high = Math.min(8000, binWidth * data.length);
+
+    const bands: number[] = [];
+    for (let band = 0; band < count; band++) {
+        const from = Math.floor(low * Math.pow(high / low, band / count) / binWidth);
+        const to = Math.max(from + 1, Math.ceil(low * Math.pow(high / low, (band + 1) / count) / binWidth));
+        let sum = 0;
+        for (let bin = from; bin < to && bin < data.length; bin++) {
+            sum += data[bin];
+        };
+        bands.push(sum / ((to - from) * 255));
+    };
+    return bands;
+};
@@ -0,0 +1,147 @@
+// Opus over WebCodecs. The browser runs the codec off the main thread; we only
+// hand it samples and packets. WebCodecs is not exposed inside AudioWorklets,
+// so capture audio reaches the encoder through the worklet's port.
+
+// lib.dom does not describe the WebCodecs audio classes yet.
+const webCodecs = globalThis as any;
+
+function opusConfig(sampleRate: number) {
+    return { codec: "opus", sampleRate, numberOfChannels: 1 };
+};
+
+export async function isOpusSupported(sampleRate: number): Promise<boolean> {
+    if (!webCodecs.AudioEncoder || !webCodecs.AudioDecoder) return false;
+    try {
+        const encoder = await webCodecs.AudioEncoder.isConfigSupported({ ...opusConfig(sampleRate), bitrate: 24000 });
+        const decoder = await webCodecs.AudioDecoder.isConfigSupported(opusConfig(sampleRate));
+        return !!(encoder.supported && decoder.supported);
+    } catch (error) {
+        return false;
+    };
+};
+
+export class OpusEncoder {
+    private encoder: any;
+    private sampleRate: number;
+    private timestamp: number = 0;
+
+    constructor(
+        sampleRate: number,
+        frameDuration: number,
+        onPacket: (packet: Uint8Array, samples: number) => void,
+        onError: (error: Error) => void
+    ) {
+        this.sampleRate = sampleRate;
+        this.encoder = new webCodecs.AudioEncoder({
+            output: (chunk: any) => {
+                const packet = new Uint8Array(chunk.byteLength);
+                chunk.copyTo(packet);
+                onPacket(packet, Math.round(chunk.duration * sampleRate / 1e6));
+            },
+            error: onError
+        });
+        this.encoder.configure({
+            ...opusConfig(sampleRate),
+            bitrate: 24000,
+            // Microseconds; one Opus packet per wire frame.
+            opus: { frameDuration: frameDuration * 1000 }
+        });
+    };
+
+    encode(samples: Float32Array): void {
+        if (this.encoder.state !== "configured") return;
+        const data = new webCodecs.AudioData({
+            format: "f32-planar",
+            sampleRate: this.sampleRate,
+            numberOfFrames: samples.length,
+            numberOfChannels: 1,
+            // Microseconds.
+            timestamp: Math.round(this.timestamp * 1e6 / this.sampleRate),
+            data: samples
+        });
+        this.timestamp += samples.length;
+        this.encoder.encode(data);
+        data.close();
+    };
+
+    close(): void {
+        if (this.encoder.state !== "closed") this.encoder.close();
+    };
+};
+
+export class OpusDecoder {
+    private decoder: any;
+    private sampleRate: number;
+    private timestamp: number = 0;
+    // Outputs stamped before this were dropped by reset().
+    private resetAt: number = 0;
+    // Packets in and AudioData out since the last reset; each packet decodes to one output.
+    private submitted: number = 0;
+    private decoded: number = 0;
+    private waiting: { after: number, callback: () => void }[] = [];
+
+    constructor(sampleRate: number, onSamples: (samples: Float32Array) => void, onError: (error: Error) => void) {
+        this.sampleRate = sampleRate;
+        this.decoder = new webCodecs.AudioDecoder({
+            output: (data: any) => {
+                if (data.timestamp < this.resetAt) {
+                    data.close();
+                    return;
+                };
+                const samples = new Float32Array(data.numberOfFrames);
+                data.copyTo(samples, { planeIndex: 0, format: "f32-planar" });
+                data.close();
+                this.decoded++;
+                onSamples(samples);
+                while (this.waiting.length > 0 && this.waiting[0].after <= this.decoded) {
+                    (this.waiting.shift() as { callback: () => void }).callback();
+                };
+            },
+            error: (error: Error) => {
+                // The decoder is closed now and will never catch up.
+                this.waiting = [];
+                onError(error);
+            }
+        });
+        this.decoder.configure(opusConfig(sampleRate));
+    };
+
+    decode(packet: Uint8Array): void {
+        if (this.decoder.state !== "configured") return;
+        // Every Opus packet decodes on its own; timestamps only need to increase.
+        this.decoder.decode(new webCodecs.EncodedAudioChunk({ type: "key", timestamp: this.timestamp++, data: packet }));
+        this.submitted++;
+    };
+
+    // Decoding is asynchronous, so something that belongs after the packets
+    // already passed to decode (a mark) has to wait for their audio to come out.
+    whenDecoded(callback: () => void): void {
+        if (this.decoded >= this.submitted) {
+            callback();
+        } else {
+            this.waiting.push({ after: this.submitted, callback });
+        };
+    };
+
+    // Drops the packets still being decoded, e.g. when the agent is cut off.
+    // Whatever waited on them runs now, so a mark lands ahead of the clear
+    // that interrupts it instead of being reported as played afterwards.
+    reset(): void {
+        if (this.decoder.state === "closed") return;
+        this.decoder.reset();
+        this.decoder.configure(opusConfig(this.sampleRate));
+        // Timestamps keep increasing, which tells late outputs of the old packets apart.
+        this.resetAt = this.timestamp;
+        this.submitted = 0;
+        this.decoded = 0;
+
+        const waiting = this.waiting;
+        this.waiting = [];
+        waiting.forEach((entry) => entry.callback());
+    };
+
+    close(): void {
+        this.waiting = [];
+        if (this.decoder.state !== "closed") this.decoder.close();
+    };
+};
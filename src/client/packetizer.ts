@@ -0,0 +1,134 @@
+import { BlandError } from "./errors";
+
+// Audio is sent in fixed-duration frames instead of one message per render
+// quantum. With "packet" framing every binary message also carries a 12-byte
+// header so either side can spot loss and reordering:
+//
+//   0      version (1)
+//   1      reserved (0)
+//   2-3    frame duration in ms, uint16
+//   4-7    sequence number, uint32, +1 per packet, wraps
+//   8-11   timestamp of the first sample, uint32, in samples, wraps
+//   12-    codec payload
+//
+// All fields are big-endian. "raw" framing sends the payload alone, which is
+// what servers without packet support expect.
+export type Framing = "raw" | "packet";
+
+export const PACKET_HEADER_BYTES = 12;
+const PACKET_VERSION = 1;
+
+export const frameDurations = [10, 20, 40, 60];
+
+export function validateFraming(frameDuration: number | undefined, framing: Framing | undefined): void {
+    if (frameDuration !== undefined && frameDurations.indexOf(frameDuration) === -1) {
+        throw new BlandError("INVALID_CONFIG", `Invalid frameDuration ${frameDuration}: expected one of ${frameDurations.join(", ")}`);
+    };
+    if (framing !== undefined && framing !== "raw" && framing !== "packet") {
+        throw new BlandError("INVALID_CONFIG", `Invalid framing "${framing}": expected "raw" or "packet"`);
+    };
+};
+
+export interface FrameAccumulator {
+    // Calls onFrame once for every full frame the new samples complete.
+    push(samples: Float32Array, onFrame: (frame: Float32Array) => void): void;
+    // Hands over the partly filled frame, if any, cut to the samples it holds.
+    flush(onFrame: (frame: Float32Array) => void): void;
+    reset(): void;
+};
+
+// Inlined into the AudioWorklet with toString(), so it must stay self-contained.
+export function createFrameAccumulator(frameSamples: number): FrameAccumulator {
+    let frame = new Float32Array(frameSamples);
+    let filled = 0;
+
+    return {
+        push: function (samples: Float32Array, onFrame: (frame: Float32Array) => void) {
+            let offset = 0;
+            while (offset < samples.length) {
+                const count = Math.min(frameSamples - filled, samples.length - offset);
+                frame.set(samples.subarray(offset, offset + count), filled);
+                filled += count;
+                offset += count;
+                if (filled === frameSamples) {
+                    onFrame(frame);
+                    frame = new Float32Array(frameSamples);
+                    filled = 0;
+                };
+            };
+        },
+        flush: function (onFrame: (frame: Float32Array) => void) {
+            if (filled === 0) return;
+            const partial = frame.slice(0, filled);
+            filled = 0;
+            onFrame(partial);
+        },
+        reset: function () {
+            filled = 0;
+        }
+    };
+};
+
+export interface Packet {
+    sequence: number;
+    timestamp: number;
+    frameDuration: number;
+    payload: Uint8Array;
+};
+
+export class Packetizer {
+    private sequence: number = 0;
+    private timestamp: number = 0;
+    private frameDuration: number;
+
+    constructor(frameDuration: number) {
+        this.frameDuration = frameDuration;
+    };
+
+    wrap(payload: Uint8Array, samples: number): Uint8Array {
+        const packet = new Uint8Array(PACKET_HEADER_BYTES + payload.byteLength);
+        const view = new DataView(packet.buffer);
+        view.setUint8(0, PACKET_VERSION);
+        view.setUint16(2, this.frameDuration);
+        view.setUint32(4, this.sequence);
+        view.setUint32(8, this.timestamp);
+        packet.set(payload, PACKET_HEADER_BYTES);
+
+        this.sequence = (this.sequence + 1) >>> 0;
+        this.timestamp = (this.timestamp + samples) >>> 0;
+        return packet;
+    };
+};
+
+export class Depacketizer {
+    private lastSequence: number | null = null;
+    public lostPackets: number = 0;
+    public latePackets: number = 0;
+
+    // Returns null for malformed packets and for ones older than the last
+    // packet played, which would only arrive too late to be heard.
+    unwrap(data: Uint8Array): Packet | null {
+        if (data.byteLength < PACKET_HEADER_BYTES) return null;
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        if (view.getUint8(0) !== PACKET_VERSION) return null;
+
+        const sequence = view.getUint32(4);
+        if (this.lastSequence !== null) {
+            // Distance in uint32 space so wraparound counts as moving forward.
+            const gap = (sequence - this.lastSequence) >>> 0;
+            if (gap === 0 || gap > 0x7FFFFFFF) {
+                this.latePackets++;
+                return null;
+            };
+            this.lostPackets += gap - 1;
+        };
+        this.lastSequence = sequence;
+
+        return {
+            sequence,
+            timestamp: view.getUint32(8),
+            frameDuration: view.getUint16(2),
+            payload: data.subarray(PACKET_HEADER_BYTES)
+        };
+    };
+};
@@ -0,0 +1,220 @@
+// Agent audio waiting to be played, interleaved with the marks the server
+// tagged it with. The same factory runs on the main thread for the
+// ScriptProcessor path and inside the AudioWorklet, where it is inlined with
+// toString(), so it must stay self-contained: no imports, no closures over
+// module scope and nothing that compiles to a TypeScript helper.
+//
+// The queue doubles as an adaptive jitter buffer. At the start of every
+// utterance, and after every underrun, it holds playback back until a target
+// depth is queued. The target follows the measured lateness of arriving audio
+// (RFC 3550 interarrival jitter, counting only audio that arrives later than
+// its predecessor, since audio sent ahead of real time can never underrun).
+// The agent only counts as done talking once the queue has stayed empty for
+// endOfUtterance, so a momentary underrun does not end the turn.
+
+export type MarkCallback = (name: string, playedSamples: number) => void;
+
+export interface JitterBufferOptions {
+    // Bounds for the prebuffer target, in ms.
+    minDelay?: number;
+    maxDelay?: number;
+    // How long the queue must stay empty before the agent stops talking, in ms.
+    endOfUtterance?: number;
+    // Most audio ever held, in ms; the oldest audio is dropped beyond it.
+    capacity?: number;
+};
+
+export interface PlaybackStats {
+    // All in ms.
+    depth: number;
+    target: number;
+    jitter: number;
+    underruns: number;
+    overruns: number;
+};
+
+export interface PlaybackQueue {
+    // now is the audio clock in seconds when the samples arrived.
+    push(samples: Float32Array, now: number): void;
+    pushMark(name: string): void;
+    // Fills output, padding with silence, and reports every mark it passes.
+    read(output: Float32Array, now: number, onMark: MarkCallback): void;
+    // Drops queued audio and reports the marks that will now never be reached.
+    clear(onInterrupted: MarkCallback): void;
+    hasAudio(): boolean;
+    isTalking(): boolean;
+    playedSamples(): number;
+    stats(): PlaybackStats;
+};
+
+interface QueuedMark {
+    mark: string;
+};
+
+export function createPlaybackQueue(sampleRate: number, options?: JitterBufferOptions): PlaybackQueue {
+    const settings = options || {};
+    const minDelay = (settings.minDelay === undefined ? 40 : settings.minDelay) / 1000;
+    const maxDelay = (settings.maxDelay === undefined ? 400 : settings.maxDelay) / 1000;
+    const endOfUtterance = (settings.endOfUtterance === undefined ? 300 : settings.endOfUtterance) / 1000;
+    const capacity = Math.round((settings.capacity === undefined ? 30000 : settings.capacity) * sampleRate / 1000);
+
+    let queue: (Float32Array | QueuedMark)[] = [];
+    let index = 0;
+    let queuedSamples = 0;
+    let played = 0;
+
+    let talking = false;
+    let buffering = true;
+    let bufferingSince = 0;
+    let drainedAt: number | null = null;
+
+    // Per utterance: media time pushed so far and the last transit time.
+    let mediaTime = 0;
+    let lastTransit: number | null = null;
+    let jitter = 0;
+    let target = minDelay;
+    let underruns = 0;
+    let overruns = 0;
+
+    function flushMarks(onMark: MarkCallback): void {
+        while (queue.length > 0 && !(queue[0] instanceof Float32Array)) {
+            onMark((queue.shift() as QueuedMark).mark, played);
+        };
+    };
+
+    function startBuffering(now: number): void {
+        buffering = true;
+        bufferingSince = now;
+    };
+
+    function dropOldest(samples: number): void {
+        // Marks are kept so they are still reported once playback reaches them.
+        for (let i = 0; i < queue.length && samples > 0; i++) {
+            const chunk = queue[i];
+            if (!(chunk instanceof Float32Array)) continue;
+            const start = i === 0 ? index : 0;
+            const count = Math.min(samples, chunk.length - start);
+            if (start + count === chunk.length) {
+                queue.splice(i, 1);
+                i--;
+                if (start > 0) index = 0;
+            } else if (i === 0) {
+                index += count;
+            } else {
+                queue[i] = chunk.subarray(count);
+            };
+            queuedSamples -= count;
+            samples -= count;
+        };
+    };
+
+    return {
+        push: function (samples: Float32Array, now: number) {
+            if (samples.length === 0) return;
+
+            if (!talking) {
+                talking = true;
+                mediaTime = 0;
+                lastTransit = null;
+                startBuffering(now);
+            } else if (drainedAt !== null) {
+                // More of the same utterance after the queue ran dry.
+                underruns++;
+                target = Math.min(maxDelay, target * 1.5);
+            };
+            drainedAt = null;
+
+            const transit = now - mediaTime;
+            if (lastTransit !== null) {
+                const lateness = Math.max(0, transit - lastTransit);
+                jitter += (lateness - jitter) / 16;
+            };
+            lastTransit = transit;
+            mediaTime += samples.length / sampleRate;
+
+            // Grow at once, shrink slowly.
+            const desired = Math.min(maxDelay, Math.max(minDelay, jitter * 3));
+            target = desired > target ? desired : target + (desired - target) / 64;
+
+            if (queuedSamples + samples.length > capacity) {
+                overruns++;
+                dropOldest(queuedSamples + samples.length - capacity);
+            };
+            queue.push(samples);
+            queuedSamples += samples.length;
+        },
+        pushMark: function (name: string) {
+            queue.push({ mark: name });
+        },
+        read: function (output: Float32Array, now: number, onMark: MarkCallback) {
+            let i = 0;
+            flushMarks(onMark);
+
+            if (buffering && queuedSamples > 0 &&
+                (queuedSamples >= target * sampleRate || now - bufferingSince >= target)) {
+                buffering = false;
+            };
+
+            while (!buffering && i < output.length && queuedSamples > 0) {
+                const chunk = queue[0] as Float32Array;
+                const count = Math.min(output.length - i, chunk.length - index);
+                output.set(chunk.subarray(index, index + count), i);
+                i += count;
+                index += count;
+                played += count;
+                queuedSamples -= count;
+                if (index === chunk.length) {
+                    queue.shift();
+                    index = 0;
+                    flushMarks(onMark);
+                };
+            };
+            for (let j = i; j < output.length; j++) {
+                output[j] = 0;
+            };
+
+            if (queuedSamples === 0) {
+                if (!buffering) startBuffering(now);
+                if (talking) {
+                    if (drainedAt === null) drainedAt = now;
+                    if (now - drainedAt >= endOfUtterance) {
+                        talking = false;
+                        drainedAt = null;
+                    };
+                };
+            };
+        },
+        clear: function (onInterrupted: MarkCallback) {
+            const dropped = queue;
+            queue = [];
+            index = 0;
+            queuedSamples = 0;
+            talking = false;
+            drainedAt = null;
+            buffering = true;
+            for (let i = 0; i < dropped.length; i++) {
+                if (!(dropped[i] instanceof Float32Array)) {
+                    onInterrupted((dropped[i] as QueuedMark).mark, played);
+                };
+            };
+        },
+        hasAudio: function () {
+            return queuedSamples > 0;
+        },
+        isTalking: function () {
+            return talking;
+        },
+        playedSamples: function () {
+            return played;
+        },
+        stats: function () {
+            return {
+                depth: queuedSamples * 1000 / sampleRate,
+                target: target * 1000,
+                jitter: jitter * 1000,
+                underruns: underruns,
+                overruns: overruns
+            };
+        }
+    };
+};
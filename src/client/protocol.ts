@@ -0,0 +1,201 @@
+// JSON control messages sent by the server alongside binary audio frames.
+//
+// The legacy literals are "ping", which the client sends, and "pong" and
+// "clear", which the server sends. The client pings as soon as a socket
+// opens, heartbeat or not, so the server's first frame on it (that pong, or
+// anything sent before it) confirms that it took the call. A server that
+// refuses the call closes the socket instead (see CloseCodes).
+//
+// Every text frame that is not one of the legacy literals ("pong", "clear")
+// is a JSON object of the shape { "v": 1, "type": "<type>", ...fields }.
+// A missing "v" is treated as version 1. Frames with a newer major version,
+// an unknown "type" or missing required fields are ignored so that the server
+// can roll out new messages without breaking older clients.
+//
+//   mark           { name }                          audio before this point has been sent
+//   transcript     { speaker, text, final, start?, end?, id?, interrupted? }
+//                                                    partials for one utterance share an id;
+//                                                    interrupted marks agent speech cut off
+//   agent_state    { state }                         listening | thinking | speaking
+//   call_metadata  { call_id, ...anything else }     sent once the call is set up
+//   error          { code, message, fatal?, id? }    id names the client message it rejects
+//   call_ended     { reason }                        sent right before the server closes
+//   ack            { id }                            a text, dtmf or context message was accepted
+//
+// The client answers in the same envelope:
+//
+//   mark           { name, status, played_samples }  status is "played" once playback passes
+//                                                    the mark, or "interrupted" if a clear
+//                                                    dropped it; played_samples counts all
+//                                                    agent audio played so far, at the
+//                                                    wire sample rate
+//   hold           { held }                          the user put the call on hold (true) or
+//                                                    took it off (false); no audio flows
+//                                                    either way while held
+//   text           { id, text }                      typed user input
+//   dtmf           { id, digits }                    keypad presses: 0-9, *, # and A-D
+//   context        { id, context }                   structured state from the page, for
+//                                                    the agent to take into account
+//
+// text, dtmf and context are control messages: the server answers each with
+// an ack, or an error carrying its id.
+
+export const PROTOCOL_VERSION = 1;
+
+// Close codes the server uses for application-level failures. A failed
+// handshake is only reported as 1006 by browsers, so the server accepts the
+// socket first and then closes it with one of these.
+export const CloseCodes = {
+    Normal: 1000,
+    // The token is missing, malformed or expired; a fresh one may succeed.
+    AuthFailed: 4001,
+    // The token is valid but may not use this agent or call.
+    Forbidden: 4003,
+    CallNotFound: 4004,
+    // The server cannot speak the codec named in the URL; the client may retry with another.
+    UnsupportedCodec: 4005
+};
+
+export type Speaker = "user" | "agent";
+export type AgentState = "listening" | "thinking" | "speaking";
+
+export interface MarkMessage {
+    type: "mark";
+    name: string;
+};
+
+export interface TranscriptMessage {
+    type: "transcript";
+    speaker: Speaker;
+    text: string;
+    final: boolean;
+    // Seconds since the start of the call.
+    start?: number;
+    end?: number;
+    id?: string;
+    interrupted?: boolean;
+};
+
+export interface AgentStateMessage {
+    type: "agent_state";
+    state: AgentState;
+};
+
+export interface CallMetadataMessage {
+    type: "call_metadata";
+    call_id: string;
+    [key: string]: unknown;
+};
+
+export interface ServerErrorMessage {
+    type: "error";
+    code: string;
+    message: string;
+    fatal?: boolean;
+    id?: string;
+};
+
+export interface CallEndedMessage {
+    type: "call_ended";
+    reason: string;
+};
+
+export interface AckMessage {
+    type: "ack";
+    id: string;
+};
+
+export type ServerMessage =
+    | MarkMessage
+    | TranscriptMessage
+    | AgentStateMessage
+    | CallMetadataMessage
+    | ServerErrorMessage
+    | CallEndedMessage
+    | AckMessage;
+
+export type MarkStatus = "played" | "interrupted";
+
+export interface MarkAckMessage {
+    type: "mark";
+    name: string;
+    status: MarkStatus;
+    played_samples: number;
+};
+
+export interface HoldMessage {
+    type: "hold";
+    held: boolean;
+};
+
+export interface TextMessage {
+    type: "text";
+    id: string;
+    text: string;
+};
+
+export interface DtmfMessage {
+    type: "dtmf";
+    id: string;
+    digits: string;
+};
+
+export interface ContextMessage {
+    type: "context";
+    id: string;
+    context: { [key: string]: unknown };
+};
+
+export type ControlMessage = TextMessage | DtmfMessage | ContextMessage;
+export type ControlType = ControlMessage["type"];
+
+export type ClientMessage = MarkAckMessage | HoldMessage | ControlMessage;
+
+export function encodeClientMessage(message: ClientMessage): string {
+    return JSON.stringify({ v: PROTOCOL_VERSION, ...message });
+};
+
+const agentStates: AgentState[] = ["listening", "thinking", "speaking"];
+
+function isOptionalNumber(value: unknown): boolean {
+    return value === undefined || typeof value === "number";
+};
+
+export function parseServerMessage(raw: string): ServerMessage | null {
+    let data: any;
+    try {
+        data = JSON.parse(raw);
+    } catch (error) {
+        return null;
+    };
+
+    if (data === null || typeof data !== "object" || typeof data.type !== "string") return null;
+    if (data.v !== undefined && (typeof data.v !== "number" || Math.floor(data.v) > PROTOCOL_VERSION)) return null;
+
+    switch (data.type) {
+        case "mark":
+            return typeof data.name === "string" ? data : null;
+        case "transcript":
+            return (data.speaker === "user" || data.speaker === "agent") &&
+                typeof data.text === "string" &&
+                typeof data.final === "boolean" &&
+                isOptionalNumber(data.start) &&
+                isOptionalNumber(data.end) &&
+                (data.id === undefined || typeof data.id === "string") &&
+                (data.interrupted === undefined || typeof data.interrupted === "boolean") ? data : null;
+        case "agent_state":
+            return agentStates.indexOf(data.state) !== -1 ? data : null;
+        case "call_metadata":
+            return typeof data.call_id === "string" ? data : null;
+        case "error":
+            return typeof data.code === "string" &&
+                typeof data.message === "string" &&
+                (data.id === undefined || typeof data.id === "string") ? data : null;
+        case "call_ended":
+            return typeof data.reason === "string" ? data : null;
+        case "ack":
+            return typeof data.id === "string" ? data : null;
+        default:
+            return null;
+    };
+};
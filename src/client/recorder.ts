@@ -0,0 +1,96 @@
+// Records both legs of a call as 16-bit PCM at the audio context's rate:
+// the microphone as sent (silent while muted) on the left and the agent as
+// played (after clears) on the right. Audio is moved into a Blob every few
+// seconds, which the browser may keep out of the JavaScript heap, so long
+// calls never build up one giant array.
+
+export type RecordingChannels = "mono" | "stereo";
+
+// Seconds of audio per Blob part.
+const partDuration = 5;
+
+export class CallRecorder {
+    private sampleRate: number;
+    // Interleaved stereo PCM16: user, agent.
+    private parts: Blob[] = [];
+    private pending: DataView;
+    private pendingFrames: number = 0;
+
+    constructor(sampleRate: number) {
+        this.sampleRate = sampleRate;
+        this.pending = new DataView(new ArrayBuffer(sampleRate * partDuration * 4));
+    };
+
+    public get duration(): number {
+        return (this.byteLength(2) / 4 + this.pendingFrames) / this.sampleRate;
+    };
+
+    push(input: Float32Array, output: Float32Array): void {
+        const capacity = this.pending.byteLength / 4;
+        for (let i = 0; i < output.length; i++) {
+            this.pending.setInt16(this.pendingFrames * 4, toPcm16(input[i]), true);
+            this.pending.setInt16(this.pendingFrames * 4 + 2, toPcm16(output[i]), true);
+            this.pendingFrames++;
+            if (this.pendingFrames === capacity) this.flush();
+        };
+    };
+
+    async toWav(channels: RecordingChannels = "stereo"): Promise<Blob> {
+        this.flush();
+        if (channels === "stereo") {
+            return new Blob([wavHeader(this.sampleRate, 2, this.byteLength(2)), ...this.parts], { type: "audio/wav" });
+        };
+
+        // Mixed one part at a time, so only a part's worth is ever in memory.
+        const mixed: Blob[] = [];
+        for (let i = 0; i < this.parts.length; i++) {
+            const stereo = new DataView(await this.parts[i].arrayBuffer());
+            const mono = new DataView(new ArrayBuffer(stereo.byteLength / 2));
+            for (let frame = 0; frame < mono.byteLength / 2; frame++) {
+                const sum = stereo.getInt16(frame * 4, true) + stereo.getInt16(frame * 4 + 2, true);
+                mono.setInt16(frame * 2, Math.max(-32768, Math.min(32767, sum)), true);
+            };
+            mixed.push(new Blob([mono.buffer]));
+        };
+        return new Blob([wavHeader(this.sampleRate, 1, this.byteLength(1)), ...mixed], { type: "audio/wav" });
+    };
+
+    private flush(): void {
+        if (this.pendingFrames === 0) return;
+        this.parts.push(new Blob([this.pending.buffer.slice(0, this.pendingFrames * 4)]));
+        this.pendingFrames = 0;
+    };
+
+    private byteLength(channels: number): number {
+        return this.parts.reduce((total, part) => total + part.size, 0) * channels / 2;
+    };
+};
+
+function toPcm16(sample: number | undefined): number {
+    if (!sample) return 0;
+    const value = Math.round(sample * 32768);
+    return value > 32767 ? 32767 : value < -32768 ? -32768 : value;
+};
+
+function wavHeader(sampleRate: number, channels: number, dataBytes: number): ArrayBuffer {
+    const view = new DataView(new ArrayBuffer(44));
+    const text = (offset: number, value: string) => {
+        for (let i = 0; i < value.length; i++) view.setUint8(offset + i, value.charCodeAt(i));
+    };
+
+    text(0, "RIFF");
+    view.setUint32(4, 36 + dataBytes, true);
+    text(8, "WAVE");
+    text(12, "fmt ");
+    view.setUint32(16, 16, true);
+    // PCM
+    view.setUint16(20, 1, true);
+    view.setUint16(22, channels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * channels * 2, true);
+    view.setUint16(32, channels * 2, true);
+    view.setUint16(34, 16, true);
+    text(36, "data");
+    view.setUint32(40, dataBytes, true);
+    return view.buffer;
+};
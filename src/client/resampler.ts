@@ -0,0 +1,109 @@
+// Streaming sample-rate converter between the AudioContext's native rate and
+// the rate spoken on the socket. It is a polyphase windowed-sinc filter: the
+// rate ratio is reduced to L/M, and one Blackman-windowed sinc per output
+// phase is precomputed so each output sample is a single dot product. Like
+// the other audio helpers it is inlined into the AudioWorklet with
+// toString(), so it must stay self-contained.
+
+export interface Resampler {
+    // Returns however many output samples the new input completes; the filter
+    // keeps its own history so consecutive calls join without clicks.
+    process(input: Float32Array): Float32Array;
+    reset(): void;
+};
+
+export function createResampler(inputRate: number, outputRate: number): Resampler {
+    if (inputRate === outputRate) {
+        return {
+            process: function (input: Float32Array) {
+                return input;
+            },
+            reset: function () {}
+        };
+    };
+
+    function gcd(a: number, b: number): number {
+        while (b !== 0) {
+            const t = b;
+            b = a % b;
+            a = t;
+        };
+        return a;
+    };
+
+    const divisor = gcd(inputRate, outputRate);
+    // One output sample every step/up input samples.
+    const up = outputRate / divisor;
+    const step = inputRate / divisor;
+    // Co-prime rates would need a huge bank; past 1024 phases the nearest one
+    // is used, which is well below audible timing error.
+    const phases = Math.min(up, 1024);
+
+    // The filter widens when downsampling so its cutoff sits below the new Nyquist.
+    const ratio = Math.min(1, outputRate / inputRate);
+    const halfTaps = Math.ceil(16 / ratio);
+    const taps = halfTaps * 2;
+    const cutoff = 0.5 * ratio * 0.92;
+
+    const bank: Float32Array[] = [];
+    for (let p = 0; p < phases; p++) {
+        const fraction = p / phases;
+        const coefficients = new Float32Array(taps);
+        let sum = 0;
+        for (let k = 0; k < taps; k++) {
+            const t = k - halfTaps + 1 - fraction;
+            const x = 2 * cutoff * t;
+            const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+            const w = Math.PI * (t / halfTaps + 1);
+            const taper = Math.abs(t) >= halfTaps ? 0 : 0.42 - 0.5 * Math.cos(w) + 0.08 * Math.cos(2 * w);
+            coefficients[k] = sinc * taper;
+            sum += coefficients[k];
+        };
+        // Unity gain at DC for every phase.
+        for (let k = 0; k < taps; k++) {
+            coefficients[k] /= sum;
+        };
+        bank.push(coefficients);
+    };
+
+    let history = new Float32Array(halfTaps - 1);
+    // Index in history+input of the input sample the next output is centred on,
+    // and how far past it (in 1/up steps) the output lies.
+    let position = halfTaps - 1;
+    let phase = 0;
+
+    return {
+        process: function (input: Float32Array) {
+            const buffer = new Float32Array(history.length + input.length);
+            buffer.set(history);
+            buffer.set(input, history.length);
+
+            const output = new Float32Array(Math.max(0, Math.ceil((buffer.length - halfTaps - position) * up / step) + 1));
+            let count = 0;
+
+            while (position + halfTaps < buffer.length) {
+                const coefficients = bank[phases === up ? phase : Math.floor(phase * phases / up)];
+                const start = position - halfTaps + 1;
+                let value = 0;
+                for (let k = 0; k < taps; k++) {
+                    value += buffer[start + k] * coefficients[k];
+                };
+                output[count++] = value;
+
+                phase += step;
+                position += Math.floor(phase / up);
+                phase %= up;
+            };
+
+            const keep = position - halfTaps + 1;
+            history = buffer.slice(keep);
+            position -= keep;
+            return output.subarray(0, count);
+        },
+        reset: function () {
+            history = new Float32Array(halfTaps - 1);
+            position = halfTaps - 1;
+            phase = 0;
+        }
+    };
+};
@@ -0,0 +1,37 @@
+import { Codec } from "./codecs";
+import { PlaybackStats } from "./playbackQueue";
+
+// Call health for diagnosing choppy or laggy calls. Counters run from the
+// start of the call and carry across reconnects.
+
+export interface StatsOptions {
+    // Time between stats events, in ms.
+    interval?: number;
+};
+
+export interface ConnectionStats {
+    // Round trip of the last answered heartbeat ping, in ms; null until one
+    // has been answered.
+    rtt: number | null;
+    // Audio only; control messages are not counted.
+    bytesSent: number;
+    bytesReceived: number;
+    framesSent: number;
+    framesReceived: number;
+    // Outbound frames lost while the socket was down and the buffer was full.
+    droppedFrames: number;
+    // Every reconnect attempt, and those that resumed the call.
+    reconnectAttempts: number;
+    reconnects: number;
+};
+
+export interface CallStats extends ConnectionStats {
+    codec: Codec;
+    // Jitter buffer depth, underruns and the rest; null without a local
+    // playback queue (headless calls).
+    playback: PlaybackStats | null;
+    // The AudioContext's processing and output latency in ms; null where the
+    // browser does not report them.
+    baseLatency: number | null;
+    outputLatency: number | null;
+};
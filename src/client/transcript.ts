@@ -0,0 +1,103 @@
+import { Speaker, TranscriptMessage } from "./protocol";
+
+// The conversation so far, one entry per utterance. Partial results update
+// the speaker's open utterance in place until a final one closes it. The
+// store belongs to the call, not the socket, so it survives reconnects; an
+// utterance the server repeats after a resume (same id) replaces the earlier
+// copy instead of being added twice.
+
+export interface Utterance {
+    id: string;
+    speaker: Speaker;
+    text: string;
+    final: boolean;
+    // Seconds since the start of the call, when the server sends them.
+    start?: number;
+    end?: number;
+    // The user cut the agent off before it finished this utterance.
+    interrupted: boolean;
+};
+
+export type TranscriptFormat = "json" | "text";
+
+export class TranscriptStore {
+    private utterances: Utterance[] = [];
+    private nextId: number = 0;
+
+    add(message: TranscriptMessage): Utterance {
+        let index = -1;
+        if (message.id !== undefined) {
+            index = this.findIndex((utterance) => utterance.id === message.id);
+        } else {
+            index = this.findIndex((utterance) => utterance.speaker === message.speaker && !utterance.final);
+        };
+
+        const previous = index === -1 ? null : this.utterances[index];
+        const utterance: Utterance = {
+            id: message.id !== undefined ? message.id : previous ? previous.id : `${message.speaker}-${this.nextId++}`,
+            speaker: message.speaker,
+            text: message.text,
+            final: message.final,
+            start: message.start,
+            end: message.end,
+            interrupted: !!message.interrupted || (previous !== null && previous.interrupted)
+        };
+
+        if (previous) {
+            this.utterances[index] = utterance;
+        } else {
+            this.insert(utterance);
+        };
+        return utterance;
+    };
+
+    // Flags the agent's latest utterance when playback is cleared under it.
+    // Returns the utterance if it changed.
+    markInterrupted(): Utterance | null {
+        const last = this.utterances[this.utterances.length - 1];
+        if (!last || last.speaker !== "agent" || last.interrupted) return null;
+        const utterance = { ...last, interrupted: true };
+        this.utterances[this.utterances.length - 1] = utterance;
+        return utterance;
+    };
+
+    get(): Utterance[] {
+        return this.utterances.slice();
+    };
+
+    export(format: TranscriptFormat = "json"): string {
+        if (format === "json") return JSON.stringify(this.utterances, null, 2);
+        return this.utterances.map((utterance) => {
+            const time = utterance.start === undefined ? "" : `[${formatTime(utterance.start)}] `;
+            const speaker = utterance.speaker === "agent" ? "Agent" : "User";
+            return `${time}${speaker}: ${utterance.text}${utterance.interrupted ? " [interrupted]" : ""}`;
+        }).join("\n");
+    };
+
+    private findIndex(match: (utterance: Utterance) => boolean): number {
+        for (let i = this.utterances.length - 1; i >= 0; i--) {
+            if (match(this.utterances[i])) return i;
+        };
+        return -1;
+    };
+
+    // Usually appends; an utterance that started before ones already stored
+    // (the user's, transcribed late) goes back to where it belongs.
+    private insert(utterance: Utterance): void {
+        let index = this.utterances.length;
+        if (utterance.start !== undefined) {
+            while (index > 0) {
+                const start = this.utterances[index - 1].start;
+                if (start === undefined || start <= utterance.start) break;
+                index--;
+            };
+        };
+        this.utterances.splice(index, 0, utterance);
+    };
+};
+
+function formatTime(seconds: number): string {
+    const minutes = Math.floor(seconds / 60);
+    const rest = (seconds - minutes * 60).toFixed(1);
+    return `${minutes < 10 ? "0" : ""}${minutes}:${rest.length < 4 ? "0" : ""}${rest}`;
+};
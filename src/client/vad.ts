@@ -0,0 +1,132 @@
+// Voice activity detection on capture frames. By default a frame is speech
+// when its level stands far enough above a running estimate of the noise
+// floor; a model can replace that per-frame decision. Either way the user
+// only starts talking after minSpeech of speech and stops after hangover of
+// silence, so single clicks and the gaps between words are ignored.
+//
+// Both factories are inlined into the AudioWorklet with toString(), so they
+// must stay self-contained.
+
+export interface VadSettings {
+    // How far above the noise floor a frame must be to count as speech, in dB.
+    threshold?: number;
+    // Frames quieter than this never count as speech, in dBFS.
+    minLevel?: number;
+    // In ms.
+    minSpeech?: number;
+    hangover?: number;
+    // Drop frames while the user is silent instead of sending them.
+    gate?: boolean;
+};
+
+export interface VadOptions extends VadSettings {
+    // What happens to agent playback when the user starts talking: "duck"
+    // lowers it to duckLevel until they stop, "clear" drops it like a server
+    // clear would. Defaults to "none"; the server still decides on its own.
+    bargeIn?: "none" | "duck" | "clear";
+    duckLevel?: number;
+    // Speech probability (0..1) for one frame at the wire rate. Runs on the
+    // main thread, so with the worklet engine capture frames are routed
+    // through it. Frames scoring at least 0.5 count as speech.
+    model?: (frame: Float32Array, sampleRate: number) => number;
+};
+
+export interface VoiceActivityDetector {
+    // Returns whether the user is talking as of this frame. score, when
+    // given, is a model's speech probability and replaces the level check.
+    process(frame: Float32Array, score?: number): boolean;
+    isSpeaking(): boolean;
+    reset(): void;
+};
+
+export function createVoiceActivityDetector(sampleRate: number, settings?: VadSettings): VoiceActivityDetector {
+    const options = settings || {};
+    const threshold = options.threshold === undefined ? 10 : options.threshold;
+    const minLevel = options.minLevel === undefined ? -50 : options.minLevel;
+    const minSpeech = options.minSpeech === undefined ? 60 : options.minSpeech;
+    const hangover = options.hangover === undefined ? 500 : options.hangover;
+
+    let floor = -70;
+    let speaking = false;
+    // Consecutive ms of speech, or of silence, so far.
+    let speechRun = 0;
+    let silenceRun = 0;
+
+    return {
+        process: function (frame: Float32Array, score?: number) {
+            if (frame.length === 0) return speaking;
+            const duration = frame.length * 1000 / sampleRate;
+
+            let energy = 0;
+            for (let i = 0; i < frame.length; i++) {
+                energy += frame[i] * frame[i];
+            };
+            const level = 10 * Math.log10(energy / frame.length + 1e-10);
+
+            let speech: boolean;
+            if (score !== undefined) {
+                speech = score >= 0.5;
+            } else {
+                speech = level >= minLevel && level >= floor + threshold;
+            };
+
+            // The floor drops to quiet frames within ~50 ms but only creeps up
+            // over ~2 s of non-speech, so speech never drags it along.
+            if (level < floor) {
+                floor += (level - floor) * Math.min(1, duration / 50);
+            } else if (!speech) {
+                floor += (level - floor) * Math.min(1, duration / 2000);
+            };
+
+            if (speech) {
+                speechRun += duration;
+                silenceRun = 0;
+                if (!speaking && speechRun >= minSpeech) speaking = true;
+            } else {
+                silenceRun += duration;
+                speechRun = 0;
+                if (speaking && silenceRun >= hangover) speaking = false;
+            };
+            return speaking;
+        },
+        isSpeaking: function () {
+            return speaking;
+        },
+        reset: function () {
+            speaking = false;
+            speechRun = 0;
+            silenceRun = 0;
+        }
+    };
+};
+
+export interface SpeechGate {
+    // Sends frame if the user is talking, after any frames held back from
+    // just before they started; otherwise holds it.
+    push(frame: Float32Array, speaking: boolean, send: (frame: Float32Array) => void): void;
+    reset(): void;
+};
+
+// preRoll is how many silent frames to hold, enough to cover minSpeech so the
+// start of the first word is not cut off.
+export function createSpeechGate(preRoll: number): SpeechGate {
+    let held: Float32Array[] = [];
+
+    return {
+        push: function (frame: Float32Array, speaking: boolean, send: (frame: Float32Array) => void) {
+            if (!speaking) {
+                held.push(frame);
+                if (held.length > preRoll) held.shift();
+                return;
+            };
+            for (let i = 0; i < held.length; i++) {
+                send(held[i]);
+            };
+            held = [];
+            send(frame);
+        },
+        reset: function () {
+            held = [];
+        }
+    };
+};
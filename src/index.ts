@@ -1 +1,48 @@
-export { BlandWebClient } from "./client/BlandClient";
\ No newline at end of file
+export { BlandWebClient } from "./client/BlandClient";
+export type { AudioEngine, BlandWebClientOptions, MuteMode } from "./client/BlandClient";
+export type { HeartbeatOptions, ReconnectOptions } from "./client/AudioWsClient";
+export { CloseCodes, PROTOCOL_VERSION } from "./client/protocol";
+export { BlandError } from "./client/errors";
+export type { ErrorCode } from "./client/errors";
+export type {
+    AckMessage,
+    AgentState,
+    AgentStateMessage,
+    CallEndedMessage,
+    CallMetadataMessage,
+    ClientMessage,
+    ContextMessage,
+    ControlMessage,
+    ControlType,
+    DtmfMessage,
+    HoldMessage,
+    MarkAckMessage,
+    MarkMessage,
+    MarkStatus,
+    ServerErrorMessage,
+    ServerMessage,
+    Speaker,
+    TextMessage,
+    TranscriptMessage
+} from "./client/protocol";
+export type { RequestData } from "./client/endpoint";
+export type { OutboundBufferOptions, OverflowPolicy } from "./client/OutboundQueue";
+export type { Codec } from "./client/codecs";
+export type { Framing } from "./client/packetizer";
+export type { JitterBufferOptions, PlaybackStats } from "./client/playbackQueue";
+export type { VadOptions, VadSettings } from "./client/vad";
+export type { AudioLevel, AudioLevels, LevelOptions } from "./client/levels";
+export type { RecordingChannels } from "./client/recorder";
+export type { TranscriptFormat, Utterance } from "./client/transcript";
+export type { CallStats, ConnectionStats, StatsOptions } from "./client/stats";
+export type {
+    BlandHeadlessClientEvents,
+    BlandWebClientEvents,
+    CallEvents,
+    CloseInfo,
+    ConnectionEvents,
+    MarkEvent
+} from "./client/events";
+export { BlandHeadlessClient } from "./client/HeadlessClient";
+export type { CallState } from "./client/callState";
+export type { HeadlessClientOptions, HeadlessConversationConfig } from "./client/HeadlessClient";
\ No newline at end of file
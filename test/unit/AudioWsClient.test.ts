@@ -0,0 +1,122 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { AudioWsClient, waitForOpen } from "../../src/client/AudioWsClient";
+import { BlandError } from "../../src/client/errors";
+
+// Stands in for isomorphic-ws: records what is sent, and the test plays the server.
+// vi.mock is hoisted above the imports, so the class has to be too.
+const { FakeSocket } = vi.hoisted(() => {
+    class FakeSocket {
+        static last: FakeSocket | null = null;
+        readyState = 0;
+        binaryType = "";
+        sent: unknown[] = [];
+        onopen: (() => void) | null = null;
+        onmessage: ((event: { data: unknown }) => void) | null = null;
+        onclose: ((event: { code: number, reason: string }) => void) | null = null;
+        onerror: ((event: unknown) => void) | null = null;
+
+        constructor(public url: string) {
+            FakeSocket.last = this;
+        };
+
+        send(data: unknown): void {
+            this.sent.push(data);
+        };
+
+        close(): void {
+            this.readyState = 3;
+            this.onclose?.({ code: 1000, reason: "" });
+        };
+
+        open(): void {
+            this.readyState = 1;
+            this.onopen?.();
+        };
+
+        receive(data: unknown): void {
+            this.onmessage?.({ data });
+        };
+    };
+
+    return { FakeSocket };
+});
+
+vi.mock("isomorphic-ws", () => ({ default: FakeSocket }));
+
+function connect(config: object = {}): AudioWsClient {
+    return new AudioWsClient({ callId: "call", customEndpoint: "ws://localhost", ...config });
+};
+
+describe("AudioWsClient", () => {
+    beforeEach(() => {
+        vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it("pings as soon as the socket opens and starts the call on the answer, heartbeat or not", async () => {
+        const client = connect({ heartbeat: { enabled: false } });
+        const opened = waitForOpen(client);
+        const socket = FakeSocket.last!;
+
+        socket.open();
+        expect(socket.sent).toEqual(["ping"]);
+        socket.receive("pong");
+        await expect(opened).resolves.toBeUndefined();
+        expect(client.getStats().rtt).toBe(0);
+        client.close();
+    });
+
+    it("holds audio until the server confirms the call", async () => {
+        const client = connect();
+        const socket = FakeSocket.last!;
+        socket.open();
+        client.send(Uint8Array.from([1, 2]));
+        expect(socket.sent).toEqual(["ping"]);
+
+        socket.receive("pong");
+        expect(socket.sent).toEqual(["ping", Uint8Array.from([1, 2])]);
+        client.close();
+    });
+
+    it("fails with CONNECTION_TIMEOUT when the server never confirms the call", async () => {
+        const client = connect({ connectTimeout: 5000 });
+        const opened = waitForOpen(client);
+        const rejected = expect(opened).rejects.toMatchObject({ code: "CONNECTION_TIMEOUT" });
+        FakeSocket.last!.open();
+
+        vi.advanceTimersByTime(4999);
+        expect(FakeSocket.last!.readyState).toBe(1);
+        vi.advanceTimersByTime(1);
+        expect(FakeSocket.last!.readyState).toBe(3);
+        await rejected;
+    });
+
+    it("times out a socket that never opens", async () => {
+        const client = connect({ connectTimeout: 5000 });
+        const closes: (BlandError | null)[] = [];
+        client.on("close", (code: number, reason: string, error: BlandError | null) => closes.push(error));
+
+        vi.advanceTimersByTime(5000);
+        expect(closes).toHaveLength(1);
+        expect(closes[0]).toMatchObject({ code: "CONNECTION_TIMEOUT", closeCode: 1006 });
+    });
+
+    it("stops the connect timer once the call is confirmed or closed", () => {
+        const confirmed = connect({ connectTimeout: 5000 });
+        const closes: unknown[] = [];
+        confirmed.on("close", () => closes.push("confirmed"));
+        FakeSocket.last!.open();
+        FakeSocket.last!.receive("pong");
+
+        const stopped = connect({ connectTimeout: 5000 });
+        stopped.on("close", (code: number, reason: string, error: BlandError | null) => closes.push(error));
+        stopped.close();
+
+        vi.advanceTimersByTime(10000);
+        expect(closes).toEqual([null]);
+        confirmed.close();
+    });
+});
@@ -0,0 +1,60 @@
+import { describe, expect, it } from "vitest";
+import { OutboundQueue } from "../../src/client/OutboundQueue";
+
+function frame(id: number, bytes: number = 4): Uint8Array {
+    return new Uint8Array(bytes).fill(id);
+};
+
+function drain(queue: OutboundQueue): number[] {
+    const sent: number[] = [];
+    queue.flush((frame) => sent.push(frame[0]));
+    return sent;
+};
+
+describe("OutboundQueue", () => {
+    it("flushes frames in capture order and empties the queue", () => {
+        const queue = new OutboundQueue();
+        [1, 2, 3].forEach((id) => expect(queue.push(frame(id))).toBe(true));
+        expect(queue.length).toBe(3);
+        expect(drain(queue)).toEqual([1, 2, 3]);
+        expect(queue.length).toBe(0);
+        expect(drain(queue)).toEqual([]);
+    });
+
+    it("drops the oldest frames by default to make room", () => {
+        const queue = new OutboundQueue({ maxBytes: 12 });
+        [1, 2, 3].forEach((id) => queue.push(frame(id)));
+        expect(queue.push(frame(4, 8))).toBe(false);
+        expect(queue.droppedFrames).toBe(2);
+        expect(queue.droppedBytes).toBe(8);
+        expect(drain(queue)).toEqual([3, 4]);
+    });
+
+    it("keeps the start of the speech with dropNewest", () => {
+        const queue = new OutboundQueue({ maxBytes: 12, overflow: "dropNewest" });
+        [1, 2, 3].forEach((id) => queue.push(frame(id)));
+        expect(queue.push(frame(4))).toBe(false);
+        expect(queue.droppedFrames).toBe(1);
+        expect(drain(queue)).toEqual([1, 2, 3]);
+    });
+
+    it("drops a frame larger than the whole buffer under either policy", () => {
+        (["dropOldest", "dropNewest"] as const).forEach((overflow) => {
+            const queue = new OutboundQueue({ maxBytes: 8, overflow });
+            queue.push(frame(1));
+            expect(queue.push(frame(2, 9))).toBe(false);
+            expect(queue.droppedBytes).toBe(9);
+            expect(drain(queue)).toEqual([1]);
+        });
+    });
+
+    it("forgets queued frames on clear without counting them as dropped", () => {
+        const queue = new OutboundQueue();
+        queue.push(frame(1));
+        queue.clear();
+        expect(queue.length).toBe(0);
+        expect(queue.droppedFrames).toBe(0);
+        queue.push(frame(2));
+        expect(drain(queue)).toEqual([2]);
+    });
+});
@@ -0,0 +1,46 @@
+import { describe, expect, it } from "vitest";
+import { CallState, canTransition, isCallActive } from "../../src/client/callState";
+
+const states: CallState[] = ["idle", "requestingMedia", "connecting", "connected", "reconnecting", "ending", "ended", "failed"];
+
+describe("canTransition", () => {
+    it("walks a call from setup to a normal end", () => {
+        const path: CallState[] = ["idle", "requestingMedia", "connecting", "connected", "reconnecting", "connected", "ending", "ended"];
+        for (let i = 1; i < path.length; i++) {
+            expect(canTransition(path[i - 1], path[i])).toBe(true);
+        };
+    });
+
+    it("lets clients without a microphone skip requestingMedia", () => {
+        expect(canTransition("idle", "connecting")).toBe(true);
+        expect(canTransition("ended", "connecting")).toBe(true);
+    });
+
+    it("lets any live state fail or be stopped", () => {
+        (["requestingMedia", "connecting", "connected", "reconnecting"] as CallState[]).forEach((state) => {
+            expect(canTransition(state, "ending")).toBe(true);
+            expect(canTransition(state, "failed")).toBe(true);
+        });
+    });
+
+    it("only starts a new call from idle, ended or failed", () => {
+        states.forEach((state) => {
+            const canStart = state === "idle" || state === "ended" || state === "failed";
+            expect(canTransition(state, "requestingMedia")).toBe(canStart);
+        });
+    });
+
+    it("never goes back to idle or skips setup", () => {
+        states.forEach((state) => expect(canTransition(state, "idle")).toBe(false));
+        expect(canTransition("idle", "connected")).toBe(false);
+        expect(canTransition("requestingMedia", "connected")).toBe(false);
+        expect(canTransition("ending", "connected")).toBe(false);
+        expect(canTransition("ended", "connected")).toBe(false);
+    });
+});
+
+describe("isCallActive", () => {
+    it("is true from setup until the call has ended or failed", () => {
+        expect(states.filter(isCallActive)).toEqual(["requestingMedia", "connecting", "connected", "reconnecting", "ending"]);
+    });
+});
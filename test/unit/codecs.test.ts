@@ -0,0 +1,82 @@
+import { describe, expect, it } from "vitest";
+import { createSampleCodec, resolveCodecs } from "../../src/client/codecs";
+
+// 16-bit input, then the G.711 code and the value it decodes to, as given by
+// the Sun reference implementation.
+const mulawVectors: [number, number, number][] = [
+    [0, 0xFF, 0],
+    [1000, 0xCE, 988],
+    [-1000, 0x4E, -988],
+    [4000, 0xAF, 4092],
+    [-4000, 0x2F, -4092],
+    [32767, 0x80, 32124],
+    [-32768, 0x00, -32124]
+];
+
+const alawVectors: [number, number, number][] = [
+    [0, 0xD5, 8],
+    [1000, 0xFA, 1008],
+    [-1000, 0x7A, -1008],
+    [4000, 0x9A, 4032],
+    [-4000, 0x1A, -4032],
+    [32767, 0xAA, 32256],
+    [-32768, 0x2A, -32256]
+];
+
+function checkVectors(name: "pcmu" | "pcma", vectors: [number, number, number][]): void {
+    const codec = createSampleCodec(name);
+    const encoded = codec.encode(Float32Array.from(vectors, ([pcm]) => pcm / 32768));
+    expect(Array.from(encoded)).toEqual(vectors.map(([, code]) => code));
+
+    const decoded = codec.decode(Uint8Array.from(vectors, ([, code]) => code));
+    expect(Array.from(decoded, (sample) => Math.round(sample * 32768))).toEqual(vectors.map(([, , pcm]) => pcm));
+};
+
+describe("createSampleCodec", () => {
+    it("encodes and decodes μ-law reference vectors", () => {
+        checkVectors("pcmu", mulawVectors);
+    });
+
+    it("encodes and decodes A-law reference vectors", () => {
+        checkVectors("pcma", alawVectors);
+    });
+
+    it("round-trips every G.711 code", () => {
+        for (const name of ["pcmu", "pcma"] as const) {
+            const codec = createSampleCodec(name);
+            const codes = Uint8Array.from({ length: 256 }, (_, i) => i);
+            const roundTrip = codec.encode(codec.decode(codes));
+            // μ-law has two codes for zero and both decode to 0, which encodes as 0xFF.
+            codes.forEach((code, i) => {
+                expect(roundTrip[i]).toBe(name === "pcmu" && code === 0x7F ? 0xFF : code);
+            });
+        };
+    });
+
+    it("writes pcm16 little-endian and clamps out-of-range samples", () => {
+        const codec = createSampleCodec("pcm16");
+        const encoded = codec.encode(Float32Array.from([0, 0.5, -1, 2, -2]));
+        expect(Array.from(encoded)).toEqual([0x00, 0x00, 0x00, 0x40, 0x00, 0x80, 0xFF, 0x7F, 0x00, 0x80]);
+        expect(Array.from(codec.decode(encoded))).toEqual([0, 0.5, -1, 32767 / 32768, -1]);
+    });
+
+    it("has no sample codec for opus", () => {
+        expect(createSampleCodec("opus")).toBeNull();
+    });
+});
+
+describe("resolveCodecs", () => {
+    it("always offers pcm16 last", async () => {
+        expect(await resolveCodecs(undefined, 16000)).toEqual(["pcm16"]);
+        expect(await resolveCodecs(["pcmu", "pcma"], 16000)).toEqual(["pcmu", "pcma", "pcm16"]);
+        expect(await resolveCodecs(["pcm16", "pcmu"], 16000)).toEqual(["pcm16", "pcmu"]);
+    });
+
+    it("drops opus without WebCodecs", async () => {
+        expect(await resolveCodecs(["opus", "pcmu"], 16000)).toEqual(["pcmu", "pcm16"]);
+    });
+
+    it("rejects unknown codecs", async () => {
+        await expect(resolveCodecs(["g722" as never], 16000)).rejects.toMatchObject({ code: "INVALID_CONFIG", message: expect.stringMatching(/Unsupported codec/) });
+    });
+});
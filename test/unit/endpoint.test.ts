@@ -0,0 +1,67 @@
+import { describe, expect, it } from "vitest";
+import { buildEndpoint, parseEndpoint, validateRequestData } from "../../src/client/endpoint";
+
+describe("buildEndpoint", () => {
+    it("connects to the default endpoint with the call's parameters", () => {
+        const url = new URL(buildEndpoint(undefined, { agentId: "agent-1", sessionToken: "t0k", callId: "c1" }));
+        expect(url.origin).toBe("wss://web.bland.ai");
+        expect(Object.fromEntries(url.searchParams)).toEqual({ agent: "agent-1", token: "t0k", call_id: "c1", protocol: "1" });
+    });
+
+    it("keeps the custom endpoint's path and query", () => {
+        const url = new URL(buildEndpoint("ws://localhost:8080/v2/call?region=eu", { agentId: "a", resume: true }));
+        expect(url.origin + url.pathname).toBe("ws://localhost:8080/v2/call");
+        expect(url.searchParams.get("region")).toBe("eu");
+        expect(url.searchParams.get("resume")).toBe("true");
+    });
+
+    it("sends requestData as JSON, and only when it has keys", () => {
+        const url = new URL(buildEndpoint(undefined, { agentId: "a", requestData: { name: "Ada & co", tags: [1, 2] } }));
+        expect(JSON.parse(url.searchParams.get("request_data"))).toEqual({ name: "Ada & co", tags: [1, 2] });
+        expect(new URL(buildEndpoint(undefined, { agentId: "a", requestData: {} })).searchParams.has("request_data")).toBe(false);
+    });
+
+    it("leaves out parameters that are not set", () => {
+        const url = new URL(buildEndpoint(undefined, { agentId: "a", sessionToken: null, resume: false }));
+        expect(Array.from(url.searchParams.keys())).toEqual(["agent", "protocol"]);
+    });
+});
+
+describe("parseEndpoint", () => {
+    it("accepts ws: and wss: URLs", () => {
+        expect(parseEndpoint("wss://example.com/socket").host).toBe("example.com");
+        expect(parseEndpoint("ws://127.0.0.1:9000").port).toBe("9000");
+    });
+
+    it("rejects relative URLs, other protocols and fragments", () => {
+        expect(() => parseEndpoint("/socket")).toThrow(/not an absolute URL/);
+        expect(() => parseEndpoint("https://example.com")).toThrow(/protocol must be ws: or wss:/);
+        expect(() => parseEndpoint("wss://example.com/#call")).toThrow(/fragments/);
+    });
+
+    it("rejects parameters the client sets itself", () => {
+        ["agent", "token", "call_id", "resume", "protocol", "request_data"].forEach((name) => {
+            expect(() => parseEndpoint(`wss://example.com/?${name}=x`)).toThrow(`the "${name}" parameter is set by the client`);
+        });
+    });
+
+    it("throws BlandErrors coded INVALID_CONFIG", () => {
+        expect(() => parseEndpoint("/socket")).toThrow(expect.objectContaining({ name: "BlandError", code: "INVALID_CONFIG" }));
+    });
+});
+
+describe("validateRequestData", () => {
+    it("accepts plain objects that serialize", () => {
+        expect(() => validateRequestData({ language: "en", nested: { ok: true } })).not.toThrow();
+    });
+
+    it("rejects non-objects and values JSON cannot encode", () => {
+        expect(() => validateRequestData([] as never)).toThrow(/plain object/);
+        expect(() => validateRequestData(null)).toThrow(/plain object/);
+        const cyclic: { [key: string]: unknown } = {};
+        cyclic.self = cyclic;
+        expect(() => validateRequestData(cyclic)).toThrow(/Invalid requestData/);
+        expect(() => validateRequestData({ big: BigInt(1) })).toThrow(/Invalid requestData/);
+        expect(() => validateRequestData(null)).toThrow(expect.objectContaining({ code: "INVALID_CONFIG" }));
+    });
+});
@@ -0,0 +1,84 @@
+import { describe, expect, it } from "vitest";
+import { BlandError, CONNECT_TIMEOUT_REASON, HEARTBEAT_TIMEOUT_REASON, asBlandError, closeError, microphoneError } from "../../src/client/errors";
+import { CloseCodes } from "../../src/client/protocol";
+
+// What getUserMedia rejects with: a DOMException, reduced to what is read.
+function domException(name: string, extra: object = {}): Error {
+    return Object.assign(new Error(`${name} message`), { name }, extra);
+};
+
+describe("BlandError", () => {
+    it("is an Error with a code and a default recoverability", () => {
+        const error = new BlandError("MIC_IN_USE", "busy");
+        expect(error).toBeInstanceOf(Error);
+        expect(error).toBeInstanceOf(BlandError);
+        expect(error.name).toBe("BlandError");
+        expect(error.recoverable).toBe(true);
+        expect(new BlandError("MIC_IN_USE", "busy", { recoverable: false }).recoverable).toBe(false);
+    });
+});
+
+describe("asBlandError", () => {
+    it("passes BlandErrors through and wraps anything else", () => {
+        const original = new BlandError("AUTH_FAILED", "no");
+        expect(asBlandError(original, "CONNECTION_FAILED", "Could not start")).toBe(original);
+
+        const cause = new Error("boom");
+        const wrapped = asBlandError(cause, "CONNECTION_FAILED", "Could not start");
+        expect(wrapped).toMatchObject({ code: "CONNECTION_FAILED", message: "Could not start: boom", cause });
+        expect(asBlandError("oops", "INPUT_FAILED", "Read failed").message).toBe("Read failed: oops");
+    });
+});
+
+describe("closeError", () => {
+    it("maps the protocol's application close codes", () => {
+        expect(closeError(CloseCodes.AuthFailed, "")).toMatchObject({ code: "AUTH_FAILED", recoverable: false });
+        expect(closeError(CloseCodes.Forbidden, "")).toMatchObject({ code: "FORBIDDEN", recoverable: false });
+        expect(closeError(CloseCodes.CallNotFound, "")).toMatchObject({ code: "CALL_NOT_FOUND", recoverable: false });
+        expect(closeError(CloseCodes.UnsupportedCodec, "")).toMatchObject({ code: "UNSUPPORTED_CODEC", recoverable: false });
+    });
+
+    it("tells timeouts and network failures apart from server closes", () => {
+        expect(closeError(1006, HEARTBEAT_TIMEOUT_REASON)).toMatchObject({ code: "CONNECTION_TIMEOUT" });
+        expect(closeError(1006, CONNECT_TIMEOUT_REASON)).toMatchObject({ code: "CONNECTION_TIMEOUT", recoverable: true });
+        expect(closeError(1006, "")).toMatchObject({ code: "CONNECTION_FAILED", recoverable: true });
+        expect(closeError(1015, "")).toMatchObject({ code: "CONNECTION_FAILED" });
+        expect(closeError(1011, "internal")).toMatchObject({ code: "SERVER_CLOSED", recoverable: true });
+    });
+
+    it("treats other application codes as final", () => {
+        expect(closeError(4999, "banned")).toMatchObject({ code: "SERVER_CLOSED", recoverable: false });
+    });
+
+    it("keeps the close frame and puts it in the message", () => {
+        const cause = new Error("socket");
+        const error = closeError(1011, "internal", cause);
+        expect(error).toMatchObject({ closeCode: 1011, closeReason: "internal", cause });
+        expect(error.message).toMatch(/\(1011: internal\)$/);
+        expect(closeError(1006, "").message).toMatch(/\(1006\)$/);
+    });
+});
+
+describe("microphoneError", () => {
+    it("maps getUserMedia failures by name", () => {
+        expect(microphoneError(domException("NotAllowedError"))).toMatchObject({
+            code: "MIC_PERMISSION_DENIED",
+            message: "User rejected microphone access",
+            recoverable: false
+        });
+        expect(microphoneError(domException("SecurityError"))).toMatchObject({ code: "MIC_PERMISSION_DENIED" });
+        expect(microphoneError(domException("NotFoundError"))).toMatchObject({ code: "MIC_NOT_FOUND" });
+        expect(microphoneError(domException("NotReadableError"))).toMatchObject({ code: "MIC_IN_USE", recoverable: true });
+        expect(microphoneError(domException("AbortError"))).toMatchObject({ code: "MIC_IN_USE" });
+    });
+
+    it("reads a missing device out of a deviceId constraint failure", () => {
+        expect(microphoneError(domException("OverconstrainedError", { constraint: "deviceId" }))).toMatchObject({ code: "MIC_NOT_FOUND" });
+        expect(microphoneError(domException("OverconstrainedError", { constraint: "sampleRate" }))).toMatchObject({ code: "MIC_CONSTRAINT_UNSUPPORTED" });
+    });
+
+    it("falls back to MIC_FAILED and keeps the cause", () => {
+        const cause = domException("TypeError");
+        expect(microphoneError(cause)).toMatchObject({ code: "MIC_FAILED", message: "Could not open microphone: TypeError message", cause });
+    });
+});
@@ -0,0 +1,59 @@
+import { describe, expect, it } from "vitest";
+import { createLevelMeter } from "../../src/client/levels";
+
+// 8 kHz keeps the arithmetic simple: a 10 ms window is 80 samples.
+const sampleRate = 8000;
+
+function samples(length: number, value: number): Float32Array {
+    return new Float32Array(length).fill(value);
+};
+
+describe("createLevelMeter", () => {
+    it("reports rms and peak for each side once per interval", () => {
+        const meter = createLevelMeter(sampleRate, 10);
+        const reports: number[][] = [];
+        const input = samples(80, 0.5);
+        input[10] = -0.75;
+
+        meter.measure(input, samples(80, -0.25), (levels) => reports.push(levels));
+        expect(reports).toHaveLength(1);
+        const [inputRms, inputPeak, outputRms, outputPeak] = reports[0];
+        expect(inputRms).toBeCloseTo(Math.sqrt((79 * 0.25 + 0.5625) / 80), 6);
+        expect(inputPeak).toBe(0.75);
+        expect(outputRms).toBeCloseTo(0.25, 6);
+        expect(outputPeak).toBe(0.25);
+    });
+
+    it("accumulates short buffers until the window is full", () => {
+        const meter = createLevelMeter(sampleRate, 10);
+        const reports: number[][] = [];
+        const onLevels = (levels: number[]) => reports.push(levels);
+
+        meter.measure(samples(40, 1), samples(40, 0), onLevels);
+        expect(reports).toHaveLength(0);
+        meter.measure(samples(40, 0), samples(40, 0), onLevels);
+        expect(reports).toHaveLength(1);
+        expect(reports[0][0]).toBeCloseTo(Math.SQRT1_2, 6);
+        expect(reports[0][1]).toBe(1);
+    });
+
+    it("starts each window afresh", () => {
+        const meter = createLevelMeter(sampleRate, 10);
+        const reports: number[][] = [];
+        const onLevels = (levels: number[]) => reports.push(levels);
+
+        meter.measure(samples(80, 1), samples(80, 1), onLevels);
+        meter.measure(samples(80, 0), samples(80, 0), onLevels);
+        expect(reports[1]).toEqual([0, 0, 0, 0]);
+    });
+
+    it("reports a silent input while no microphone is connected", () => {
+        const meter = createLevelMeter(sampleRate, 10);
+        const reports: number[][] = [];
+
+        meter.measure(undefined, samples(80, 0.5), (levels) => reports.push(levels));
+        expect(reports[0][0]).toBe(0);
+        expect(reports[0][1]).toBe(0);
+        expect(reports[0][2]).toBeCloseTo(0.5, 6);
+    });
+});
@@ -0,0 +1,109 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { OpusDecoder } from "../../src/client/opus";
+
+// Stands in for the WebCodecs decoder: the test decides when outputs come out.
+class FakeAudioDecoder {
+    static last: FakeAudioDecoder;
+    state = "unconfigured";
+    chunks: { timestamp: number }[] = [];
+    resets = 0;
+
+    constructor(public init: { output: (data: unknown) => void, error: (error: Error) => void }) {
+        FakeAudioDecoder.last = this;
+    };
+
+    configure(): void {
+        this.state = "configured";
+    };
+
+    decode(chunk: { timestamp: number }): void {
+        this.chunks.push(chunk);
+    };
+
+    reset(): void {
+        this.resets++;
+        this.state = "unconfigured";
+    };
+
+    close(): void {
+        this.state = "closed";
+    };
+
+    // Hands out the decoded audio of the chunk with this timestamp.
+    output(timestamp: number, value: number): void {
+        this.init.output({
+            timestamp,
+            numberOfFrames: 2,
+            copyTo: (samples: Float32Array) => samples.fill(value),
+            close: () => {}
+        });
+    };
+};
+
+class FakeEncodedAudioChunk {
+    timestamp: number;
+
+    constructor(init: { timestamp: number }) {
+        this.timestamp = init.timestamp;
+    };
+};
+
+describe("OpusDecoder", () => {
+    let played: number[];
+    let decoder: OpusDecoder;
+
+    beforeEach(() => {
+        vi.stubGlobal("AudioDecoder", FakeAudioDecoder);
+        vi.stubGlobal("EncodedAudioChunk", FakeEncodedAudioChunk);
+        played = [];
+        decoder = new OpusDecoder(24000, (samples) => played.push(samples[0]), () => {});
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it("runs whenDecoded callbacks once the audio before them is out", () => {
+        const marks: string[] = [];
+        decoder.whenDecoded(() => marks.push("first"));
+        decoder.decode(new Uint8Array(1));
+        decoder.decode(new Uint8Array(1));
+        decoder.whenDecoded(() => marks.push("second"));
+        expect(marks).toEqual(["first"]);
+
+        FakeAudioDecoder.last.output(0, 1);
+        expect(marks).toEqual(["first"]);
+        FakeAudioDecoder.last.output(1, 2);
+        expect(marks).toEqual(["first", "second"]);
+        expect(played).toEqual([1, 2]);
+    });
+
+    it("drops the audio still being decoded on reset and runs what waited on it", () => {
+        const marks: string[] = [];
+        decoder.decode(new Uint8Array(1));
+        decoder.decode(new Uint8Array(1));
+        decoder.whenDecoded(() => marks.push("mark"));
+
+        decoder.reset();
+        expect(marks).toEqual(["mark"]);
+        expect(FakeAudioDecoder.last.resets).toBe(1);
+        expect(FakeAudioDecoder.last.state).toBe("configured");
+
+        // Late outputs of the old packets are not played.
+        FakeAudioDecoder.last.output(0, 1);
+        FakeAudioDecoder.last.output(1, 2);
+        expect(played).toEqual([]);
+
+        decoder.decode(new Uint8Array(1));
+        decoder.whenDecoded(() => marks.push("after"));
+        FakeAudioDecoder.last.output(2, 3);
+        expect(played).toEqual([3]);
+        expect(marks).toEqual(["mark", "after"]);
+    });
+
+    it("does nothing on reset once closed", () => {
+        decoder.close();
+        decoder.reset();
+        expect(FakeAudioDecoder.last.resets).toBe(0);
+    });
+});
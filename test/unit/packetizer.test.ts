@@ -0,0 +1,105 @@
+import { describe, expect, it } from "vitest";
+import { Depacketizer, PACKET_HEADER_BYTES, Packetizer, createFrameAccumulator, validateFraming } from "../../src/client/packetizer";
+
+describe("createFrameAccumulator", () => {
+    it("emits a full frame whenever one is complete, across pushes", () => {
+        const frames: number[][] = [];
+        const accumulator = createFrameAccumulator(4);
+        accumulator.push(Float32Array.from([1, 2, 3]), (frame) => frames.push(Array.from(frame)));
+        expect(frames).toEqual([]);
+        accumulator.push(Float32Array.from([4, 5, 6, 7, 8, 9]), (frame) => frames.push(Array.from(frame)));
+        expect(frames).toEqual([[1, 2, 3, 4], [5, 6, 7, 8]]);
+    });
+
+    it("flushes the partial frame cut to its samples, and nothing once empty", () => {
+        const frames: number[][] = [];
+        const accumulator = createFrameAccumulator(4);
+        accumulator.push(Float32Array.from([1, 2, 3, 4, 5]), (frame) => frames.push(Array.from(frame)));
+        accumulator.flush((frame) => frames.push(Array.from(frame)));
+        expect(frames).toEqual([[1, 2, 3, 4], [5]]);
+        accumulator.flush((frame) => frames.push(Array.from(frame)));
+        expect(frames).toHaveLength(2);
+    });
+
+    it("drops the partial frame on reset", () => {
+        const frames: Float32Array[] = [];
+        const accumulator = createFrameAccumulator(2);
+        accumulator.push(Float32Array.from([1]), (frame) => frames.push(frame));
+        accumulator.reset();
+        accumulator.push(Float32Array.from([2, 3]), (frame) => frames.push(frame));
+        expect(frames.map((frame) => Array.from(frame))).toEqual([[2, 3]]);
+    });
+});
+
+describe("Packetizer", () => {
+    it("writes the header big-endian and advances sequence and timestamp", () => {
+        const packetizer = new Packetizer(20);
+        packetizer.wrap(new Uint8Array(640), 320);
+        const packet = packetizer.wrap(Uint8Array.from([7, 8]), 320);
+
+        expect(packet.length).toBe(PACKET_HEADER_BYTES + 2);
+        expect(Array.from(packet)).toEqual([1, 0, 0, 20, 0, 0, 0, 1, 0, 0, 1, 64, 7, 8]);
+    });
+
+    it("round-trips through the depacketizer", () => {
+        const packetizer = new Packetizer(40);
+        const depacketizer = new Depacketizer();
+        const payload = Uint8Array.from([1, 2, 3]);
+        packetizer.wrap(payload, 640);
+
+        const packet = depacketizer.unwrap(packetizer.wrap(payload, 640));
+        expect(packet.sequence).toBe(1);
+        expect(packet.timestamp).toBe(640);
+        expect(packet.frameDuration).toBe(40);
+        expect(Array.from(packet.payload)).toEqual([1, 2, 3]);
+    });
+});
+
+describe("Depacketizer", () => {
+    function packetWith(sequence: number): Uint8Array {
+        const packet = new Uint8Array(PACKET_HEADER_BYTES + 1);
+        const view = new DataView(packet.buffer);
+        view.setUint8(0, 1);
+        view.setUint32(4, sequence);
+        return packet;
+    };
+
+    it("counts lost packets and drops late ones", () => {
+        const depacketizer = new Depacketizer();
+        expect(depacketizer.unwrap(packetWith(5))).not.toBeNull();
+        expect(depacketizer.unwrap(packetWith(8))).not.toBeNull();
+        expect(depacketizer.lostPackets).toBe(2);
+
+        expect(depacketizer.unwrap(packetWith(7))).toBeNull();
+        expect(depacketizer.unwrap(packetWith(8))).toBeNull();
+        expect(depacketizer.latePackets).toBe(2);
+    });
+
+    it("treats sequence wraparound as moving forward", () => {
+        const depacketizer = new Depacketizer();
+        depacketizer.unwrap(packetWith(0xFFFFFFFF));
+        expect(depacketizer.unwrap(packetWith(0))).not.toBeNull();
+        expect(depacketizer.lostPackets).toBe(0);
+    });
+
+    it("rejects short packets and unknown versions", () => {
+        const depacketizer = new Depacketizer();
+        expect(depacketizer.unwrap(new Uint8Array(4))).toBeNull();
+        const packet = packetWith(0);
+        packet[0] = 2;
+        expect(depacketizer.unwrap(packet)).toBeNull();
+    });
+});
+
+describe("validateFraming", () => {
+    it("accepts the supported frame durations and framings", () => {
+        expect(() => validateFraming(undefined, undefined)).not.toThrow();
+        expect(() => validateFraming(60, "packet")).not.toThrow();
+    });
+
+    it("rejects anything else", () => {
+        expect(() => validateFraming(30, undefined)).toThrow(/frameDuration/);
+        expect(() => validateFraming(20, "rtp" as never)).toThrow(/framing/);
+        expect(() => validateFraming(30, undefined)).toThrow(expect.objectContaining({ code: "INVALID_CONFIG" }));
+    });
+});
@@ -0,0 +1,160 @@
+import { describe, expect, it } from "vitest";
+import { PlaybackQueue, createPlaybackQueue } from "../../src/client/playbackQueue";
+
+// 8 kHz keeps the arithmetic simple: 80 samples are 10 ms.
+const sampleRate = 8000;
+
+function audio(ms: number, value: number = 1): Float32Array {
+    return new Float32Array(ms * sampleRate / 1000).fill(value);
+};
+
+// Reads 10 ms at the given audio clock time (seconds).
+function read(queue: PlaybackQueue, now: number, marks: [string, number][] = []): Float32Array {
+    const output = new Float32Array(80).fill(NaN);
+    queue.read(output, now, (name, playedSamples) => marks.push([name, playedSamples]));
+    return output;
+};
+
+function isSilent(output: Float32Array): boolean {
+    return output.every((sample) => sample === 0);
+};
+
+function isFull(output: Float32Array): boolean {
+    return output.every((sample) => sample === 1);
+};
+
+describe("createPlaybackQueue", () => {
+    it("holds a new utterance back until the target depth is queued", () => {
+        const queue = createPlaybackQueue(sampleRate);
+        queue.push(audio(20), 0);
+        expect(isSilent(read(queue, 0))).toBe(true);
+        expect(queue.isTalking()).toBe(true);
+
+        queue.push(audio(20), 0.02);
+        expect(isFull(read(queue, 0.02))).toBe(true);
+        expect(queue.stats().underruns).toBe(0);
+    });
+
+    it("starts a short utterance once the target delay has passed", () => {
+        const queue = createPlaybackQueue(sampleRate);
+        queue.push(audio(10), 0);
+        expect(isSilent(read(queue, 0.02))).toBe(true);
+        expect(isFull(read(queue, 0.04))).toBe(true);
+    });
+
+    it("pads a partly filled read with silence", () => {
+        const queue = createPlaybackQueue(sampleRate, { minDelay: 0 });
+        queue.push(audio(5), 0);
+        const output = read(queue, 0);
+        expect(Array.from(output.subarray(0, 40)).every((sample) => sample === 1)).toBe(true);
+        expect(isSilent(output.subarray(40))).toBe(true);
+        expect(queue.playedSamples()).toBe(40);
+    });
+
+    it("counts an underrun and rebuffers when the queue runs dry mid-utterance", () => {
+        const queue = createPlaybackQueue(sampleRate);
+        queue.push(audio(40), 0);
+        for (let t = 0; t < 0.04; t += 0.01) {
+            expect(isFull(read(queue, t))).toBe(true);
+        };
+        // Ran dry at 30 ms; the next audio is late.
+        expect(isSilent(read(queue, 0.04))).toBe(true);
+        expect(queue.isTalking()).toBe(true);
+
+        queue.push(audio(20), 0.05);
+        const stats = queue.stats();
+        expect(stats.underruns).toBe(1);
+        expect(stats.target).toBeGreaterThan(40);
+
+        // Buffering again, now towards the raised target.
+        expect(isSilent(read(queue, 0.06))).toBe(true);
+        expect(isFull(read(queue, 0.1))).toBe(true);
+        expect(queue.isTalking()).toBe(true);
+    });
+
+    it("raises the target no further than maxDelay", () => {
+        const queue = createPlaybackQueue(sampleRate, { maxDelay: 50 });
+        queue.push(audio(10), 0);
+        let now = 0;
+        for (let i = 0; i < 5; i++) {
+            now += 0.1;
+            read(queue, now);
+            read(queue, now);
+            queue.push(audio(10), now);
+        };
+        expect(queue.stats().underruns).toBe(5);
+        expect(queue.stats().target).toBe(50);
+    });
+
+    it("ends the turn once the queue stays empty for endOfUtterance", () => {
+        const queue = createPlaybackQueue(sampleRate, { endOfUtterance: 100 });
+        queue.push(audio(40), 0);
+        for (let t = 0; t < 0.04; t += 0.01) read(queue, t);
+
+        read(queue, 0.12);
+        expect(queue.isTalking()).toBe(true);
+        read(queue, 0.13);
+        expect(queue.isTalking()).toBe(false);
+
+        // The next audio starts a new utterance instead of counting as an underrun.
+        queue.push(audio(40), 0.2);
+        expect(queue.isTalking()).toBe(true);
+        expect(queue.stats().underruns).toBe(0);
+    });
+
+    it("reports marks when playback reaches them, across an underrun", () => {
+        const queue = createPlaybackQueue(sampleRate, { minDelay: 0 });
+        const marks: [string, number][] = [];
+        queue.push(audio(10), 0);
+        queue.pushMark("first");
+        read(queue, 0, marks);
+        expect(marks).toEqual([["first", 80]]);
+
+        // Dry, then a mark with no audio ahead of it.
+        read(queue, 0.01, marks);
+        queue.pushMark("second");
+        read(queue, 0.02, marks);
+        expect(marks).toEqual([["first", 80], ["second", 80]]);
+
+        queue.push(audio(10), 0.03);
+        queue.pushMark("third");
+        read(queue, 0.03, marks);
+        expect(marks[2]).toEqual(["third", 160]);
+    });
+
+    it("interrupts the marks still queued on clear", () => {
+        const queue = createPlaybackQueue(sampleRate, { minDelay: 0 });
+        queue.push(audio(10), 0);
+        queue.pushMark("heard");
+        queue.push(audio(20), 0);
+        queue.pushMark("cut");
+        read(queue, 0);
+        read(queue, 0.01);
+
+        const interrupted: [string, number][] = [];
+        queue.clear((name, playedSamples) => interrupted.push([name, playedSamples]));
+        expect(interrupted).toEqual([["cut", 160]]);
+        expect(queue.hasAudio()).toBe(false);
+        expect(queue.isTalking()).toBe(false);
+        expect(isSilent(read(queue, 0.02))).toBe(true);
+    });
+
+    it("drops the oldest audio beyond capacity but keeps its marks", () => {
+        const queue = createPlaybackQueue(sampleRate, { capacity: 50, minDelay: 0 });
+        const marks: [string, number][] = [];
+        queue.push(audio(30, 0.25), 0);
+        queue.pushMark("early");
+        queue.push(audio(30, 0.5), 0);
+
+        const stats = queue.stats();
+        expect(stats.overruns).toBe(1);
+        expect(stats.depth).toBe(50);
+
+        // 10 ms of the first chunk were dropped.
+        const output = read(queue, 0, marks);
+        expect(output[0]).toBe(0.25);
+        read(queue, 0.01, marks);
+        expect(marks).toEqual([["early", 160]]);
+        expect(read(queue, 0.02, marks)[0]).toBe(0.5);
+    });
+});
@@ -0,0 +1,54 @@
+import { describe, expect, it } from "vitest";
+import { parseServerMessage } from "../../src/client/protocol";
+
+describe("parseServerMessage", () => {
+    it("parses each message type", () => {
+        const messages = [
+            { type: "mark", name: "m1" },
+            { type: "transcript", speaker: "agent", text: "Hello", final: false, start: 0.5 },
+            { type: "agent_state", state: "thinking" },
+            { type: "call_metadata", call_id: "c1", region: "us" },
+            { type: "error", code: "rate_limited", message: "Slow down", fatal: false },
+            { type: "call_ended", reason: "agent_hangup" },
+            { type: "error", code: "invalid_dtmf", message: "Bad digit", id: "c1" },
+            { type: "ack", id: "c1" }
+        ];
+        messages.forEach((message) => {
+            expect(parseServerMessage(JSON.stringify({ v: 1, ...message }))).toEqual({ v: 1, ...message });
+        });
+    });
+
+    it("treats a missing version as version 1 and accepts minor versions", () => {
+        expect(parseServerMessage("{\"type\":\"mark\",\"name\":\"m\"}")).toEqual({ type: "mark", name: "m" });
+        expect(parseServerMessage("{\"v\":1.2,\"type\":\"mark\",\"name\":\"m\"}")).not.toBeNull();
+    });
+
+    it("ignores newer major versions and unknown types", () => {
+        expect(parseServerMessage("{\"v\":2,\"type\":\"mark\",\"name\":\"m\"}")).toBeNull();
+        expect(parseServerMessage("{\"v\":\"1\",\"type\":\"mark\",\"name\":\"m\"}")).toBeNull();
+        expect(parseServerMessage("{\"type\":\"surprise\"}")).toBeNull();
+    });
+
+    it("ignores frames that are not JSON objects with a type", () => {
+        ["pong", "", "null", "42", "[]", "{\"name\":\"m\"}", "{\"type\":7}"].forEach((raw) => {
+            expect(parseServerMessage(raw)).toBeNull();
+        });
+    });
+
+    it("ignores messages missing required fields", () => {
+        [
+            { type: "mark" },
+            { type: "transcript", speaker: "bot", text: "hi", final: true },
+            { type: "transcript", speaker: "user", text: "hi" },
+            { type: "transcript", speaker: "user", text: "hi", final: true, start: "0" },
+            { type: "agent_state", state: "sleeping" },
+            { type: "call_metadata" },
+            { type: "error", code: "x" },
+            { type: "call_ended" },
+            { type: "error", code: "x", message: "y", id: 1 },
+            { type: "ack" }
+        ].forEach((message) => {
+            expect(parseServerMessage(JSON.stringify(message))).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,83 @@
+import { describe, expect, it } from "vitest";
+import { CallRecorder } from "../../src/client/recorder";
+
+// A low rate keeps parts small: 5 s of audio is 500 frames.
+const sampleRate = 100;
+
+async function read(blob: Blob): Promise<DataView> {
+    return new DataView(await blob.arrayBuffer());
+};
+
+function text(view: DataView, offset: number, length: number): string {
+    let value = "";
+    for (let i = 0; i < length; i++) value += String.fromCharCode(view.getUint8(offset + i));
+    return value;
+};
+
+function samples(view: DataView, from: number, count: number): number[] {
+    return Array.from({ length: count }, (_, i) => view.getInt16(44 + (from + i) * 2, true));
+};
+
+describe("CallRecorder", () => {
+    it("writes a 16-bit PCM WAV header for the recorded audio", async () => {
+        const recorder = new CallRecorder(sampleRate);
+        recorder.push(new Float32Array(10), new Float32Array(10));
+
+        const wav = await read(await recorder.toWav("stereo"));
+        expect(wav.byteLength).toBe(44 + 40);
+        expect(text(wav, 0, 4)).toBe("RIFF");
+        expect(wav.getUint32(4, true)).toBe(36 + 40);
+        expect(text(wav, 8, 8)).toBe("WAVEfmt ");
+        expect(wav.getUint32(16, true)).toBe(16);
+        expect(wav.getUint16(20, true)).toBe(1);
+        expect(wav.getUint16(22, true)).toBe(2);
+        expect(wav.getUint32(24, true)).toBe(sampleRate);
+        expect(wav.getUint32(28, true)).toBe(sampleRate * 4);
+        expect(wav.getUint16(32, true)).toBe(4);
+        expect(wav.getUint16(34, true)).toBe(16);
+        expect(text(wav, 36, 4)).toBe("data");
+        expect(wav.getUint32(40, true)).toBe(40);
+    });
+
+    it("keeps the user on the left and the agent on the right", async () => {
+        const recorder = new CallRecorder(sampleRate);
+        recorder.push(Float32Array.from([0.5, -0.5]), Float32Array.from([0.25, 2]));
+
+        const wav = await read(await recorder.toWav());
+        expect(samples(wav, 0, 4)).toEqual([16384, 8192, -16384, 32767]);
+    });
+
+    it("records silence for a missing microphone", async () => {
+        const recorder = new CallRecorder(sampleRate);
+        recorder.push(new Float32Array(0), Float32Array.from([0.5, 0.5]));
+
+        const wav = await read(await recorder.toWav());
+        expect(samples(wav, 0, 4)).toEqual([0, 16384, 0, 16384]);
+    });
+
+    it("mixes both sides into one channel for mono, clamping the sum", async () => {
+        const recorder = new CallRecorder(sampleRate);
+        recorder.push(Float32Array.from([0.25, 0.75, -0.75]), Float32Array.from([0.25, 0.75, -0.75]));
+
+        const wav = await read(await recorder.toWav("mono"));
+        expect(wav.getUint16(22, true)).toBe(1);
+        expect(wav.getUint32(28, true)).toBe(sampleRate * 2);
+        expect(wav.getUint16(32, true)).toBe(2);
+        expect(wav.getUint32(40, true)).toBe(6);
+        expect(samples(wav, 0, 3)).toEqual([16384, 32767, -32768]);
+    });
+
+    it("keeps every sample across parts", async () => {
+        const recorder = new CallRecorder(sampleRate);
+        const input = Float32Array.from({ length: 1234 }, (_, i) => (i % 100) / 100);
+        recorder.push(input, new Float32Array(1234));
+        expect(recorder.duration).toBeCloseTo(12.34, 6);
+
+        const wav = await read(await recorder.toWav("mono"));
+        expect(wav.getUint32(40, true)).toBe(1234 * 2);
+        const mono = samples(wav, 0, 1234);
+        expect(mono[499]).toBe(Math.round(0.99 * 32768));
+        expect(mono[500]).toBe(0);
+        expect(mono[1233]).toBe(Math.round(0.33 * 32768));
+    });
+});
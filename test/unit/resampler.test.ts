@@ -0,0 +1,58 @@
+import { describe, expect, it } from "vitest";
+import { createResampler } from "../../src/client/resampler";
+
+function tone(frequency: number, sampleRate: number, length: number): Float32Array {
+    return Float32Array.from({ length }, (_, i) => Math.sin(2 * Math.PI * frequency * i / sampleRate));
+};
+
+// Skips the filter's warm-up at either end.
+function peak(samples: Float32Array): number {
+    let peak = 0;
+    for (let i = 200; i < samples.length - 200; i++) {
+        peak = Math.max(peak, Math.abs(samples[i]));
+    };
+    return peak;
+};
+
+describe("createResampler", () => {
+    it("passes input through when the rates match", () => {
+        const input = tone(1000, 16000, 160);
+        expect(createResampler(16000, 16000).process(input)).toBe(input);
+    });
+
+    it("passes a 1 kHz tone at unity gain", () => {
+        for (const [inputRate, outputRate] of [[48000, 16000], [44100, 16000], [16000, 48000], [8000, 24000]]) {
+            const output = createResampler(inputRate, outputRate).process(tone(1000, inputRate, inputRate));
+            expect(output.length).toBeGreaterThan(outputRate * 0.99);
+            expect(peak(output)).toBeCloseTo(1, 2);
+        };
+    });
+
+    it("rejects a 9 kHz tone when downsampling from 48 kHz to 16 kHz", () => {
+        const output = createResampler(48000, 16000).process(tone(9000, 48000, 48000));
+        // Above the 8 kHz Nyquist of the output, so it may only alias as noise below -60 dB.
+        expect(peak(output)).toBeLessThan(0.001);
+    });
+
+    it("joins consecutive blocks as if the input came in one piece", () => {
+        const input = tone(440, 48000, 4800);
+        const whole = createResampler(48000, 16000).process(input);
+
+        const streaming = createResampler(48000, 16000);
+        const pieces: number[] = [];
+        for (let offset = 0; offset < input.length; offset += 128) {
+            pieces.push(...streaming.process(input.subarray(offset, offset + 128)));
+        };
+
+        expect(pieces.length).toBe(whole.length);
+        pieces.forEach((sample, i) => expect(sample).toBeCloseTo(whole[i], 6));
+    });
+
+    it("starts over after reset", () => {
+        const resampler = createResampler(48000, 16000);
+        const first = resampler.process(tone(1000, 48000, 960));
+        resampler.process(tone(3000, 48000, 333));
+        resampler.reset();
+        expect(Array.from(resampler.process(tone(1000, 48000, 960)))).toEqual(Array.from(first));
+    });
+});
@@ -0,0 +1,55 @@
+import { describe, expect, it } from "vitest";
+import { TranscriptStore } from "../../src/client/transcript";
+
+describe("TranscriptStore", () => {
+    it("updates the speaker's open utterance until a final result closes it", () => {
+        const store = new TranscriptStore();
+        store.add({ type: "transcript", speaker: "agent", text: "Hello", final: false });
+        store.add({ type: "transcript", speaker: "agent", text: "Hello there", final: true });
+        store.add({ type: "transcript", speaker: "agent", text: "How", final: false });
+
+        expect(store.get().map((utterance) => [utterance.id, utterance.text, utterance.final])).toEqual([
+            ["agent-0", "Hello there", true],
+            ["agent-1", "How", false]
+        ]);
+    });
+
+    it("replaces an utterance repeated with the same id", () => {
+        const store = new TranscriptStore();
+        store.add({ type: "transcript", id: "u1", speaker: "user", text: "hi", final: true });
+        store.add({ type: "transcript", id: "u1", speaker: "user", text: "hi!", final: true });
+        expect(store.get().map((utterance) => utterance.text)).toEqual(["hi!"]);
+    });
+
+    it("puts a late utterance back in start order", () => {
+        const store = new TranscriptStore();
+        store.add({ type: "transcript", speaker: "agent", text: "Sure", final: true, start: 3 });
+        store.add({ type: "transcript", speaker: "user", text: "Can you help?", final: true, start: 1 });
+        expect(store.get().map((utterance) => utterance.speaker)).toEqual(["user", "agent"]);
+    });
+
+    it("marks only the agent's latest utterance as interrupted, once", () => {
+        const store = new TranscriptStore();
+        store.add({ type: "transcript", speaker: "agent", text: "So", final: false, start: 3 });
+        expect(store.markInterrupted()).toMatchObject({ text: "So", interrupted: true });
+        expect(store.markInterrupted()).toBeNull();
+
+        // Later results for the same utterance keep the flag.
+        store.add({ type: "transcript", speaker: "agent", text: "So anyway", final: true, start: 3 });
+        expect(store.get()[0].interrupted).toBe(true);
+
+        store.add({ type: "transcript", speaker: "user", text: "wait", final: true, start: 4 });
+        expect(store.markInterrupted()).toBeNull();
+    });
+
+    it("exports as text with timestamps", () => {
+        const store = new TranscriptStore();
+        store.add({ type: "transcript", speaker: "agent", text: "Hello", final: true, start: 0.5 });
+        store.add({ type: "transcript", speaker: "user", text: "hi", final: true, start: 72.25 });
+        store.add({ type: "transcript", speaker: "agent", text: "So", final: false });
+        store.markInterrupted();
+
+        expect(store.export("text")).toBe("[00:00.5] Agent: Hello\n[01:12.3] User: hi\nAgent: So [interrupted]");
+        expect(JSON.parse(store.export())).toHaveLength(3);
+    });
+});
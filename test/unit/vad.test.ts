@@ -0,0 +1,96 @@
+import { describe, expect, it } from "vitest";
+import { VoiceActivityDetector, createSpeechGate, createVoiceActivityDetector } from "../../src/client/vad";
+
+// 8 kHz keeps the arithmetic simple: 160 samples are 20 ms.
+const sampleRate = 8000;
+
+// A constant 20 ms frame: 0.001 is -60 dBFS, 0.1 is -20 dBFS.
+function frame(value: number): Float32Array {
+    return new Float32Array(160).fill(value);
+};
+
+const quiet = () => frame(0.001);
+const loud = () => frame(0.1);
+
+// Feeds frames and returns the detector's answer after each one.
+function run(vad: VoiceActivityDetector, frames: Float32Array[], score?: number): boolean[] {
+    return frames.map((samples) => vad.process(samples, score));
+};
+
+function repeat(count: number, make: () => Float32Array): Float32Array[] {
+    return Array.from({ length: count }, make);
+};
+
+describe("createVoiceActivityDetector", () => {
+    it("starts talking only after minSpeech of speech", () => {
+        const vad = createVoiceActivityDetector(sampleRate);
+        expect(run(vad, repeat(25, quiet)).some(Boolean)).toBe(false);
+        expect(run(vad, repeat(3, loud))).toEqual([false, false, true]);
+        expect(vad.isSpeaking()).toBe(true);
+    });
+
+    it("keeps talking through gaps shorter than the hangover", () => {
+        const vad = createVoiceActivityDetector(sampleRate);
+        run(vad, repeat(25, quiet).concat(repeat(5, loud)));
+
+        const silence = run(vad, repeat(25, quiet));
+        expect(silence.slice(0, 24).every(Boolean)).toBe(true);
+        expect(silence[24]).toBe(false);
+    });
+
+    it("ignores frames below minLevel however quiet the room is", () => {
+        const vad = createVoiceActivityDetector(sampleRate);
+        run(vad, repeat(25, () => frame(0)));
+        expect(run(vad, repeat(10, quiet)).some(Boolean)).toBe(false);
+    });
+
+    it("lets a model score replace the level check", () => {
+        const vad = createVoiceActivityDetector(sampleRate);
+        expect(run(vad, repeat(10, loud), 0.1).some(Boolean)).toBe(false);
+        expect(run(vad, repeat(3, () => frame(0)), 0.9)).toEqual([false, false, true]);
+    });
+
+    it("applies custom timings", () => {
+        const vad = createVoiceActivityDetector(sampleRate, { minSpeech: 20, hangover: 40 });
+        run(vad, repeat(25, quiet));
+        expect(run(vad, [loud()])).toEqual([true]);
+        expect(run(vad, repeat(2, quiet))).toEqual([true, false]);
+    });
+
+    it("forgets the current turn on reset", () => {
+        const vad = createVoiceActivityDetector(sampleRate);
+        run(vad, repeat(25, quiet).concat(repeat(5, loud)));
+        vad.reset();
+        expect(vad.isSpeaking()).toBe(false);
+        expect(vad.process(new Float32Array(0))).toBe(false);
+    });
+});
+
+describe("createSpeechGate", () => {
+    it("holds silent frames and sends the latest preRoll of them before speech", () => {
+        const gate = createSpeechGate(2);
+        const sent: Float32Array[] = [];
+        const send = (samples: Float32Array) => sent.push(samples);
+        const frames = [frame(1), frame(2), frame(3), frame(4), frame(5)];
+
+        gate.push(frames[0], false, send);
+        gate.push(frames[1], false, send);
+        gate.push(frames[2], false, send);
+        expect(sent).toEqual([]);
+
+        gate.push(frames[3], true, send);
+        gate.push(frames[4], true, send);
+        expect(sent).toEqual([frames[1], frames[2], frames[3], frames[4]]);
+    });
+
+    it("drops held frames on reset", () => {
+        const gate = createSpeechGate(2);
+        const sent: Float32Array[] = [];
+        const speech = frame(2);
+
+        gate.push(frame(1), false, (samples) => sent.push(samples));
+        gate.reset();
+        gate.push(speech, true, (samples) => sent.push(samples));
+        expect(sent).toEqual([speech]);
+    });
+});